@@ -2,6 +2,9 @@ const Topic = require("../models/Topic");
 const Post = require("../models/Post");
 const User = require("../models/User");
 const { validationResult } = require("express-validator");
+const { paginate } = require("../utils/pagination");
+const privacyService = require("../services/privacyService");
+const muteService = require("../services/muteService");
 
 // Get all topics
 exports.getAllTopics = async (req, res) => {
@@ -234,39 +237,32 @@ exports.getTopicPosts = async (req, res) => {
       return res.status(404).json({ error: "Topic not found" });
     }
     
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    // Get total count for pagination metadata
-    const total = await Post.countDocuments({ 
-      topicId: topic._id,
-      parentPostId: null
-    });
-    
-    const posts = await Post.find({ 
-      topicId: topic._id,
-      parentPostId: null // Only get parent posts, not replies
-    })
-    .populate("userId", "username avatar isVerified displayName")
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+    // Leave out posts from blocked users, private accounts the viewer doesn't
+    // follow, and posts hidden by the viewer's mutes
+    const viewerId = req.user && req.user.id;
+    const privacyFilter = await privacyService.getPostFilter(viewerId);
+    const muteFilter = await muteService.getPostFilter(viewerId);
+    
+    // Cursor (before/after) or legacy page number pagination
+    const { items: posts, pagination } = await paginate(
+      Post,
+      {
+        topicId: topic._id,
+        parentPostId: null, // Only get parent posts, not replies
+        ...privacyFilter,
+        ...muteFilter
+      },
+      req.query,
+      { populate: { path: "userId", select: "username avatar isVerified displayName" } }
+    );
     
     // Send response with pagination metadata
-    res.json({
-      posts,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit),
-        hasMore: skip + posts.length < total
-      }
-    });
+    res.json({ posts, pagination });
   } catch (err) {
     console.error(err);
+    if (err.name === "InvalidCursorError") {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
     if (err.kind === "ObjectId") {
       return res.status(404).json({ error: "Topic not found" });
     }
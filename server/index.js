@@ -13,8 +13,12 @@ const topicRoutes = require("./routes/api/topics");
 const notificationRoutes = require("./routes/notifications");
 const statsRoutes = require("./routes/stats");
 const messagesRoutes = require("./routes/messages");
+const searchRoutes = require("./routes/search");
+const syncRoutes = require("./routes/sync");
 const socketHandler = require("./socket/socketHandler");
+const { createRealtimeAdapter } = require("./socket/adapters");
 const notificationService = require("./services/notificationService");
+const messageExpiryService = require("./services/messageExpiryService");
 const corsMiddleware = require("./middleware/corsMiddleware");
 
 // Load environment variables
@@ -37,6 +41,12 @@ const io = new Server(server, {
   }
 });
 
+// Trust the reverse proxy's X-Forwarded-For so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(express.json());
 
@@ -74,14 +84,20 @@ mongoose
   .then(() => console.log("MongoDB connected"))
   .catch((err) => console.error("MongoDB connection error:", err));
 
+// Presence and event relay between instances (REALTIME_ADAPTER=redis to run several)
+const realtimeAdapter = createRealtimeAdapter();
+
 // Initialize Socket.IO connection handler
-const socketInstance = socketHandler(io);
+const socketInstance = socketHandler(io, realtimeAdapter);
 
 // Make socket instance available to routes
 app.set('socketInstance', socketInstance);
 
-// Initialize notification service with Socket.IO
-notificationService.initialize(io);
+// Initialize notification service with the socket helpers
+notificationService.initialize(socketInstance);
+
+// Delete disappearing messages once they expire
+messageExpiryService.start(socketInstance);
 
 // Routes
 app.use("/api/auth", authRoutes);
@@ -92,6 +108,8 @@ app.use("/api/topics", topicRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/stats", statsRoutes);
 app.use("/api/messages", messagesRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/sync", syncRoutes);
 app.use("/cors-test", require('./cors-test')); // CORS test endpoint
 
 // Print registered routes for debugging
@@ -113,9 +131,16 @@ app.get("/", (req, res) => {
   res.send("UThread API is running");
 });
 
-// Start the server
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Start the server once the realtime adapter is ready
+realtimeAdapter.attach(io)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT} (${realtimeAdapter.name} realtime adapter)`);
+    });
+  })
+  .catch((err) => {
+    console.error("Realtime adapter error:", err);
+    process.exit(1);
+  });
 
 module.exports = app;
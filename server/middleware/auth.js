@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
+const sessionService = require("../services/sessionService");
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   // Get token from header
   const token = req.header("x-auth-token");
 
@@ -10,13 +11,34 @@ const auth = (req, res, next) => {
   }
 
   // Verify token
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.user;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.user || !decoded.user.id) {
+      throw new Error("Token payload is missing the user");
+    }
   } catch (err) {
-    res.status(401).json({ message: "Token is not valid" });
+    return res.status(401).json({ message: "Token is not valid" });
   }
+
+  // Reject tokens whose session was revoked or has expired
+  try {
+    const session = await sessionService.getActiveSession(decoded.sid, decoded.user.id);
+    if (!session) {
+      return res.status(401).json({ message: "Session has expired or been revoked" });
+    }
+
+    sessionService.touchSession(session).catch(err => {
+      console.error("Error updating session activity:", err.message);
+    });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).send("Server error");
+  }
+
+  req.user = decoded.user;
+  req.sessionId = decoded.sid;
+  next();
 };
 
 module.exports = auth;
@@ -0,0 +1,27 @@
+const jwt = require("jsonwebtoken");
+const sessionService = require("../services/sessionService");
+
+// Like auth, but lets anonymous requests through; req.user is only set for valid tokens
+const optionalAuth = async (req, res, next) => {
+  // Get token from header
+  const token = req.header("x-auth-token");
+
+  if (!token) {
+    return next();
+  }
+
+  // Verify token and session, ignoring invalid ones
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await sessionService.getActiveSession(decoded.sid, decoded.user.id);
+    if (session) {
+      req.user = decoded.user;
+      req.sessionId = decoded.sid;
+    }
+  } catch (err) {
+    req.user = undefined;
+  }
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,107 @@
+// Script to move existing 1:1 messages onto their conversations (sets Message.conversationId),
+// key direct conversations by their participants, and remove messages left behind by deleted conversations
+const mongoose = require('mongoose');
+const Message = require('./models/Message');
+const Conversation = require('./models/Conversation');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGO_URI || 'mongodb://localhost:27017/uthread')
+  .then(() => console.log('MongoDB Connected...'))
+  .catch((err) => console.error('MongoDB Connection Error:', err));
+
+async function migrateConversations() {
+  try {
+    // Conversations created before group chats have no isGroup flag
+    const flagged = await Conversation.updateMany(
+      { isGroup: { $exists: false } },
+      { $set: { isGroup: false, admins: [], name: '', avatar: '' } }
+    );
+    console.log(`Marked ${flagged.modifiedCount} existing conversations as direct`);
+
+    // Direct conversations created before directKey existed (saving sets it)
+    const unkeyed = await Conversation.find({
+      isGroup: false,
+      directKey: { $exists: false },
+      participants: { $size: 2 }
+    });
+    let keyed = 0;
+    for (const conversation of unkeyed) {
+      try {
+        await conversation.save();
+        keyed++;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        console.warn(`Conversation ${conversation._id} duplicates another direct conversation between the same users; left unkeyed`);
+      }
+    }
+    console.log(`Keyed ${keyed} direct conversations`);
+
+    // Every sender/receiver pair that still has messages without a conversation
+    const pairs = await Message.aggregate([
+      { $match: { conversationId: null } },
+      { $group: { _id: { senderId: '$senderId', receiverId: '$receiverId' } } }
+    ]);
+
+    // A->B and B->A belong to the same conversation
+    const uniquePairs = new Map();
+    pairs.forEach(({ _id }) => {
+      const ids = [_id.senderId.toString(), _id.receiverId.toString()].sort();
+      uniquePairs.set(ids.join(':'), ids);
+    });
+
+    console.log(`Found ${uniquePairs.size} direct conversations to migrate`);
+
+    let created = 0;
+    let migrated = 0;
+    for (const [userA, userB] of uniquePairs.values()) {
+      let conversation = await Conversation.findDirect(userA, userB);
+
+      if (!conversation) {
+        const lastMessage = await Message.findOne({
+          $or: [
+            { senderId: userA, receiverId: userB },
+            { senderId: userB, receiverId: userA }
+          ]
+        }).sort({ createdAt: -1 });
+
+        conversation = new Conversation({
+          participants: [userA, userB],
+          lastMessage: lastMessage._id,
+          lastMessageText: lastMessage.content || (lastMessage.media.length > 0 ? 'Sent media' : ''),
+          lastMessageDate: lastMessage.createdAt
+        });
+        await conversation.save();
+        created++;
+      }
+
+      const result = await Message.updateMany(
+        {
+          conversationId: null,
+          $or: [
+            { senderId: userA, receiverId: userB },
+            { senderId: userB, receiverId: userA }
+          ]
+        },
+        { $set: { conversationId: conversation._id } }
+      );
+      migrated += result.modifiedCount;
+    }
+
+    console.log(`Created ${created} missing conversations`);
+    console.log(`Successfully migrated ${migrated} messages`);
+
+    // Deleting a conversation used to leave its messages behind
+    const conversationIds = await Conversation.distinct('_id');
+    const orphaned = await Message.deleteMany({ conversationId: { $nin: conversationIds } });
+    console.log(`Removed ${orphaned.deletedCount} messages from deleted conversations`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err);
+    process.exit(1);
+  }
+}
+
+// Run the function
+migrateConversations();
@@ -0,0 +1,36 @@
+// Script to copy each author's privacy onto their existing posts (sets Post.authorIsPrivate)
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const Post = require('./models/Post');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGO_URI || 'mongodb://localhost:27017/uthread')
+  .then(() => console.log('MongoDB Connected...'))
+  .catch((err) => console.error('MongoDB Connection Error:', err));
+
+async function migratePrivatePosts() {
+  try {
+    const privateUsers = await User.find({ isPrivate: true }).select('_id');
+    const privateIds = privateUsers.map(user => user._id);
+
+    const hidden = await Post.updateMany(
+      { userId: { $in: privateIds }, authorIsPrivate: { $ne: true } },
+      { $set: { authorIsPrivate: true } }
+    );
+    const shown = await Post.updateMany(
+      { userId: { $nin: privateIds }, authorIsPrivate: true },
+      { $set: { authorIsPrivate: false } }
+    );
+
+    console.log(`Marked ${hidden.modifiedCount} posts as private and ${shown.modifiedCount} as public`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err);
+    process.exit(1);
+  }
+}
+
+// Run the function
+migratePrivatePosts();
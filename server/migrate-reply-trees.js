@@ -0,0 +1,43 @@
+// Script to backfill reply tree fields (rootPostId, depth, path) on existing replies
+const mongoose = require('mongoose');
+const Post = require('./models/Post');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGO_URI || 'mongodb://localhost:27017/uthread')
+  .then(() => console.log('MongoDB Connected...'))
+  .catch((err) => console.error('MongoDB Connection Error:', err));
+
+async function migrateReplyTrees() {
+  try {
+    // Oldest first so every parent is migrated before its replies
+    const replies = await Post.find({ parentPostId: { $ne: null }, rootPostId: null })
+      .sort({ createdAt: 1 });
+
+    console.log(`Found ${replies.length} replies without tree fields`);
+
+    let migrated = 0;
+    for (const reply of replies) {
+      const parent = await Post.findById(reply.parentPostId);
+
+      if (!parent) {
+        console.log(`- Skipping ${reply._id}: parent ${reply.parentPostId} not found`);
+        continue;
+      }
+
+      const { rootPostId, depth, path } = await parent.getReplyTreeFields();
+      await Post.updateOne({ _id: reply._id }, { $set: { rootPostId, depth, path } });
+      migrated++;
+    }
+
+    console.log(`Successfully migrated ${migrated} replies`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err);
+    process.exit(1);
+  }
+}
+
+// Run the function
+migrateReplyTrees();
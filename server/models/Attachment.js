@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A file uploaded to a conversation. Stored outside the public uploads folder
+// and only served to participants who can see the message it was sent with
+const AttachmentSchema = new Schema({
+  conversationId: {
+    type: Schema.Types.ObjectId,
+    ref: "Conversation",
+    required: true
+  },
+  uploader: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Set once the attachment has been sent; unsent uploads are cleaned up
+  messageId: {
+    type: Schema.Types.ObjectId,
+    ref: "Message",
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ["image", "video", "audio", "file"],
+    required: true
+  },
+  // Random name on disk, never derived from the original name
+  storedName: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    default: ""
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for cleanup when messages go away or uploads are never sent
+AttachmentSchema.index({ messageId: 1, createdAt: 1 });
+AttachmentSchema.index({ conversationId: 1 });
+
+module.exports = mongoose.model("Attachment", AttachmentSchema);
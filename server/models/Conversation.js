@@ -7,6 +7,42 @@ const ConversationSchema = new Schema({
     ref: "User",
     required: true
   }],
+  // Group chats have a name, avatar and admins; direct chats have exactly two participants
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ""
+  },
+  avatar: {
+    type: String,
+    default: ""
+  },
+  admins: [{
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  }],
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // Sorted participant IDs of a direct conversation; unique, so a pair of users
+  // only ever has one direct conversation
+  directKey: {
+    type: String,
+    default: undefined
+  },
+  // Participants who haven't accepted the conversation yet. It sits in their
+  // message requests, without unread badges or live updates, until they accept or reply
+  pendingFor: [{
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  }],
   lastMessage: {
     type: Schema.Types.ObjectId,
     ref: "Message"
@@ -24,6 +60,12 @@ const ConversationSchema = new Schema({
     of: Number,
     default: new Map()
   },
+  // Per-user time the unread count was last reset; newer messages are unread for that user
+  lastReadAt: {
+    type: Map,
+    of: Date,
+    default: new Map()
+  },
   isPinned: {
     type: Map,
     of: Boolean,
@@ -34,6 +76,23 @@ const ConversationSchema = new Schema({
     of: Boolean,
     default: new Map()
   },
+  isArchived: {
+    type: Map,
+    of: Boolean,
+    default: new Map()
+  },
+  // Disappearing messages timer in seconds (0 when off)
+  messageTimer: {
+    type: Number,
+    default: 0
+  },
+  // Per-user "cleared at" watermark: older messages are hidden from that user,
+  // and are removed for good once every participant has cleared them
+  clearedAt: {
+    type: Map,
+    of: Date,
+    default: new Map()
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -47,13 +106,78 @@ const ConversationSchema = new Schema({
 // Create index for faster queries
 ConversationSchema.index({ participants: 1 });
 ConversationSchema.index({ updatedAt: -1 });
+ConversationSchema.index(
+  { directKey: 1 },
+  { unique: true, partialFilterExpression: { directKey: { $type: "string" } } }
+);
+
+// Build the key identifying the direct conversation between two users
+ConversationSchema.statics.getDirectKey = function(userId, otherUserId) {
+  return [userId.toString(), otherUserId.toString()].sort().join(":");
+};
 
-// Pre-save middleware to update the updatedAt timestamp
+// Pre-save middleware to update the updatedAt timestamp and key direct conversations
 ConversationSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+
+  if (!this.isGroup && !this.directKey && this.participants.length === 2) {
+    const [userId, otherUserId] = this.participants.map(p => p._id || p);
+    this.directKey = this.constructor.getDirectKey(userId, otherUserId);
+  }
   next();
 });
 
+// Find the direct (non-group) conversation between two users
+ConversationSchema.statics.findDirect = function(userId, otherUserId) {
+  return this.findOne({
+    isGroup: { $ne: true },
+    participants: { $all: [userId, otherUserId], $size: 2 }
+  });
+};
+
+// Method to check if a user is a participant
+ConversationSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(p => (p._id || p).toString() === userId.toString());
+};
+
+// Method to check if a user is a group admin
+ConversationSchema.methods.isAdmin = function(userId) {
+  return this.admins.some(a => (a._id || a).toString() === userId.toString());
+};
+
+// Method to get the participant IDs other than a user
+ConversationSchema.methods.getOtherParticipantIds = function(userId) {
+  return this.participants
+    .map(p => (p._id || p).toString())
+    .filter(id => id !== userId.toString());
+};
+
+// Method to check if the conversation is still a message request for a user
+ConversationSchema.methods.isPendingFor = function(userId) {
+  return this.pendingFor.some(p => (p._id || p).toString() === userId.toString());
+};
+
+// Method to accept a message request (doesn't save directly)
+ConversationSchema.methods.acceptFor = function(userId) {
+  this.pendingFor = this.pendingFor.filter(p => (p._id || p).toString() !== userId.toString());
+
+  // Messages from the request never counted as unread
+  this.lastReadAt.set(userId.toString(), new Date());
+  return this;
+};
+
+// Method to get the participants (other than a user) who have accepted the conversation
+ConversationSchema.methods.getActiveParticipantIds = function(userId) {
+  return this.getOtherParticipantIds(userId).filter(id => !this.isPendingFor(id));
+};
+
+// Method to increment unread count for everyone but the sender (doesn't save directly)
+// Message requests don't count towards unread badges
+ConversationSchema.methods.incrementUnreadForOthers = function(senderId) {
+  this.getActiveParticipantIds(senderId).forEach(id => this.incrementUnread(id));
+  return this;
+};
+
 // Method to increment unread count for a user (doesn't save directly)
 ConversationSchema.methods.incrementUnread = function(userId) {
   const userIdStr = userId.toString();
@@ -66,9 +190,17 @@ ConversationSchema.methods.incrementUnread = function(userId) {
 ConversationSchema.methods.resetUnread = function(userId) {
   const userIdStr = userId.toString();
   this.unreadCount.set(userIdStr, 0);
+  this.lastReadAt.set(userIdStr, new Date());
   return this; // Return this instead of saving to allow caller to handle the save
 };
 
+// Method to check whether a message still counts towards a user's unread count,
+// whether or not they share read receipts
+ConversationSchema.methods.isUnreadFor = function(message, userId) {
+  const lastReadAt = this.lastReadAt.get(userId.toString());
+  return !lastReadAt || message.createdAt > lastReadAt;
+};
+
 // Method to toggle pinned status for a user (doesn't save directly)
 ConversationSchema.methods.togglePinned = function(userId) {
   const userIdStr = userId.toString();
@@ -85,6 +217,30 @@ ConversationSchema.methods.toggleMuted = function(userId) {
   return this; // Return this instead of saving to allow caller to handle the save
 };
 
+// Method to set archived status for a user (doesn't save directly)
+ConversationSchema.methods.setArchived = function(userId, archived) {
+  this.isArchived.set(userId.toString(), Boolean(archived));
+  return this;
+};
+
+// Method to get when a user last cleared their history (null if never)
+ConversationSchema.methods.getClearedAt = function(userId) {
+  return this.clearedAt.get(userId.toString()) || null;
+};
+
+// Method to check if a user cleared the conversation with nothing newer since
+ConversationSchema.methods.isClearedFor = function(userId) {
+  const clearedAt = this.getClearedAt(userId);
+  return Boolean(clearedAt) && this.lastMessageDate <= clearedAt;
+};
+
+// Method to check if a message is still part of a user's history
+ConversationSchema.methods.isMessageVisibleTo = function(message, userId) {
+  const clearedAt = this.getClearedAt(userId);
+  if (clearedAt && message.createdAt <= clearedAt) return false;
+  return !message.deletedFor.some(id => id.toString() === userId.toString());
+};
+
 // Method to update last message info (doesn't save directly)
 ConversationSchema.methods.updateLastMessage = function(messageId, text) {
   this.lastMessage = messageId;
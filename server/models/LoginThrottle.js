@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Failed login counter for an account ("account:<userId>") or client ("ip:<address>"),
+// or password reset requests from a client ("reset:<address>")
+const LoginThrottleSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Counters are forgotten after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", LoginThrottleSchema);
@@ -2,15 +2,21 @@ const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
 
 const MessageSchema = new Schema({
+  conversationId: {
+    type: Schema.Types.ObjectId,
+    ref: "Conversation",
+    required: true
+  },
   senderId: {
     type: Schema.Types.ObjectId,
     ref: "User",
     required: true
   },
+  // Only set in direct conversations; group messages go to every participant
   receiverId: {
     type: Schema.Types.ObjectId,
     ref: "User",
-    required: true
+    default: null
   },
   content: {
     type: String,
@@ -20,7 +26,7 @@ const MessageSchema = new Schema({
     {
       type: {
         type: String,
-        enum: ["image", "video", "audio"],
+        enum: ["image", "video", "audio", "file"],
         required: true
       },
       url: {
@@ -30,13 +36,95 @@ const MessageSchema = new Schema({
       caption: {
         type: String,
         default: ""
+      },
+      // Private upload the media is served from (see GET /api/messages/attachments/:id)
+      attachment: {
+        type: Schema.Types.ObjectId,
+        ref: "Attachment",
+        default: null
+      },
+      name: {
+        type: String,
+        default: ""
+      },
+      mimeType: {
+        type: String,
+        default: ""
+      },
+      size: {
+        type: Number,
+        default: null
       }
     }
   ],
+  // Set once any recipient has read the message and shares read receipts
   isRead: {
     type: Boolean,
     default: false
   },
+  // Per-recipient delivery and read times. readAt is only recorded for
+  // readers who share read receipts
+  receipts: [
+    {
+      _id: false,
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+      },
+      deliveredAt: {
+        type: Date,
+        default: Date.now
+      },
+      readAt: {
+        type: Date,
+        default: null
+      }
+    }
+  ],
+  // Emoji reactions, with per-emoji totals kept alongside for listings
+  reactions: [
+    {
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+      },
+      emoji: {
+        type: String,
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: new Map()
+  },
+  // Set when the sender edits the message
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Participants who deleted the message for themselves only
+  deletedFor: [{
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  }],
+  // Notices about the conversation itself (e.g. timer changes), sent on behalf of senderId
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Set for messages sent while disappearing messages are on
+  expiresAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -44,8 +132,13 @@ const MessageSchema = new Schema({
 });
 
 // Create index for faster queries
+MessageSchema.index({ conversationId: 1, createdAt: -1 });
 MessageSchema.index({ senderId: 1, receiverId: 1 });
 MessageSchema.index({ createdAt: -1 });
+MessageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: "date" } } });
+
+// Full-text search index
+MessageSchema.index({ content: "text" });
 
 // Method to check if a message has media
 MessageSchema.methods.hasMedia = function () {
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Tombstones are only read by offline sync, which resets clients away longer than this
+const TOMBSTONE_TTL_DAYS = 30;
+
+// Record of messages removed for everyone (unsent or expired), so clients that
+// were offline at the time can drop them when they sync
+const MessageTombstoneSchema = new Schema({
+  conversationId: {
+    type: Schema.Types.ObjectId,
+    ref: "Conversation",
+    required: true
+  },
+  messageIds: [{
+    type: Schema.Types.ObjectId,
+    ref: "Message"
+  }],
+  reason: {
+    type: String,
+    enum: ["unsent", "expired"],
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create index for sync lookups
+MessageTombstoneSchema.index({ conversationId: 1, deletedAt: 1 });
+MessageTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model("MessageTombstone", MessageTombstoneSchema);
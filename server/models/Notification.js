@@ -13,7 +13,7 @@ const NotificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["like", "reply", "mention", "follow"],
+    enum: ["like", "reply", "mention", "follow", "follow_request", "reaction"],
     required: true,
   },
   post: {
@@ -56,6 +56,12 @@ NotificationSchema.pre("save", function(next) {
     case "follow":
       this.message = "started following you";
       break;
+    case "follow_request":
+      this.message = "requested to follow you";
+      break;
+    case "reaction":
+      this.message = "reacted to your post";
+      break;
     default:
       this.message = "sent you a notification";
   }
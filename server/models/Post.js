@@ -7,6 +7,12 @@ const PostSchema = new Schema({
     ref: "User",
     required: true,
   },
+  // Copy of the author's isPrivate, so listings can hide private accounts' posts
+  // without looking up every private account
+  authorIsPrivate: {
+    type: Boolean,
+    default: false,
+  },
   content: {
     type: String,
     required: true,
@@ -33,11 +39,34 @@ const PostSchema = new Schema({
     type: Date,
     default: Date.now,
   },
+  // Set when the author edits the post; previous versions live in PostRevision
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  // Direct parent of a reply (null for top-level posts)
   parentPostId: {
     type: Schema.Types.ObjectId,
     ref: "Post",
     default: null,
   },
+  // Reply tree fields: the top-level post of the thread, nesting depth
+  // (0 for top-level posts) and the ancestor IDs from the root down to the parent
+  rootPostId: {
+    type: Schema.Types.ObjectId,
+    ref: "Post",
+    default: null,
+  },
+  depth: {
+    type: Number,
+    default: 0,
+  },
+  path: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+    },
+  ],
   replies: [
     {
       type: Schema.Types.ObjectId,
@@ -50,6 +79,29 @@ const PostSchema = new Schema({
       ref: "User",
     },
   ],
+  // Emoji reactions, with per-emoji totals kept alongside for listings
+  reactions: [
+    {
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+      },
+      emoji: {
+        type: String,
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: new Map()
+  },
   // New fields for topics and hashtags
   topicId: {
     type: Schema.Types.ObjectId,
@@ -93,11 +145,55 @@ const PostSchema = new Schema({
   }
 });
 
+// Create indexes for reply tree queries
+PostSchema.index({ parentPostId: 1, createdAt: 1 });
+PostSchema.index({ rootPostId: 1 });
+PostSchema.index({ path: 1 });
+
+// Full-text search index
+PostSchema.index({ content: "text" });
+
 // Method to check if a post is a parent post
 PostSchema.methods.isParentPost = function () {
   return this.parentPostId === null;
 };
 
+// Method to get the ancestors of this post, top-level post first
+PostSchema.methods.getAncestorIds = async function () {
+  if (!this.parentPostId || this.rootPostId) {
+    return this.path || [];
+  }
+
+  // Replies created before reply trees have no path; walk up through their parents
+  const ancestors = [];
+  let parentId = this.parentPostId;
+  while (parentId && !ancestors.some(id => id.equals(parentId))) {
+    const parent = await this.constructor.findById(parentId).select("parentPostId rootPostId path");
+    if (!parent) break;
+
+    ancestors.unshift(parent._id);
+    if (parent.rootPostId) {
+      ancestors.unshift(...(parent.path || []));
+      break;
+    }
+    parentId = parent.parentPostId;
+  }
+
+  return ancestors;
+};
+
+// Method to get the tree fields for a new reply to this post
+PostSchema.methods.getReplyTreeFields = async function () {
+  const ancestors = await this.getAncestorIds();
+
+  return {
+    parentPostId: this._id,
+    rootPostId: ancestors.length > 0 ? ancestors[0] : this._id,
+    depth: ancestors.length + 1,
+    path: [...ancestors, this._id]
+  };
+};
+
 // Method to add a reply to a post
 PostSchema.methods.addReply = function (replyId) {
   this.replies.push(replyId);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Snapshot of a post's editable fields before an edit was applied
+const PostRevisionSchema = new Schema({
+  postId: {
+    type: Schema.Types.ObjectId,
+    ref: "Post",
+    required: true
+  },
+  content: {
+    type: String,
+    default: ""
+  },
+  media: [
+    {
+      type: {
+        type: String,
+        enum: ["image", "video", "audio"],
+        required: true
+      },
+      url: {
+        type: String,
+        required: true
+      },
+      caption: {
+        type: String,
+        default: ""
+      }
+    }
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create index for faster history lookups
+PostRevisionSchema.index({ postId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PostRevision", PostRevisionSchema);
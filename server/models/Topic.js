@@ -82,6 +82,12 @@ const TopicSchema = new Schema({
   }
 });
 
+// Full-text search index, ranking name and tag matches above the description
+TopicSchema.index(
+  { name: "text", tags: "text", description: "text" },
+  { weights: { name: 10, tags: 5, description: 1 }, name: "TopicTextIndex" }
+);
+
 // Virtual for URL
 TopicSchema.virtual('url').get(function() {
   return `/topics/${this._id}`;
@@ -48,8 +48,86 @@ const UserSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // When a verification code was last emailed, for the resend cooldown
+  emailVerificationOTPSentAt: {
+    type: Date,
+    default: null
+  },
   pendingEmail: {
     type: String,
+    default: null,
+    trim: true,
+    lowercase: true
+  },
+  emailChangeOTP: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailChangeOTPExpires: {
+    type: Date,
+    default: null
+  },
+  emailChangeOTPAttempts: {
+    type: Number,
+    default: 0
+  },
+  passwordResetOTP: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetOTPExpires: {
+    type: Date,
+    default: null
+  },
+  passwordResetOTPAttempts: {
+    type: Number,
+    default: 0
+  },
+  // When a reset code was last emailed, for the resend cooldown
+  passwordResetOTPSentAt: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // SHA-256 hashes of unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Last accepted time step, so a code can't be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  // Invalid second-factor checks since the last successful one
+  twoFactorFailedAttempts: {
+    type: Number,
+    default: 0
+  },
+  twoFactorLastFailedAt: {
+    type: Date,
     default: null
   },
   bio: {
@@ -125,6 +203,43 @@ const UserSchema = new mongoose.Schema({
       }
     }
   ],
+  // Private accounts approve followers and hide posts and follow lists from everyone else
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // When disabled, other participants are not told when this user reads their messages
+  readReceipts: {
+    type: Boolean,
+    default: true
+  },
+  // When disabled, nobody else sees whether this user is online or when they were last seen
+  showOnlineStatus: {
+    type: Boolean,
+    default: true
+  },
+  // Only shared through presence lookups, which respect showOnlineStatus
+  lastSeenAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Pending requests to follow this user (only used by private accounts)
+  followRequests: {
+    type: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User"
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    select: false
+  },
   blockedUsers: [
     {
       user: {
@@ -137,6 +252,49 @@ const UserSchema = new mongoose.Schema({
       }
     }
   ],
+  // Muted users and words hide content without telling anyone (optional expiry)
+  mutedUsers: {
+    type: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User"
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        },
+        expiresAt: {
+          type: Date,
+          default: null
+        }
+      }
+    ],
+    select: false
+  },
+  // Lowercase words or phrases; entries starting with # mute hashtags
+  mutedWords: {
+    type: [
+      {
+        keyword: {
+          type: String,
+          required: true,
+          trim: true,
+          lowercase: true,
+          maxlength: 100
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        },
+        expiresAt: {
+          type: Date,
+          default: null
+        }
+      }
+    ],
+    select: false
+  },
   bookmarks: [
     {
       post: {
@@ -155,6 +313,15 @@ const UserSchema = new mongoose.Schema({
   },
 });
 
+// Full-text search index, ranking username matches above profile text
+UserSchema.index(
+  { username: "text", displayName: "text", bio: "text" },
+  { weights: { username: 10, displayName: 5, bio: 1 }, name: "UserTextIndex" }
+);
+
+// Find who has blocked a user, for enforcing blocks in both directions
+UserSchema.index({ "blockedUsers.user": 1 });
+
 // Hash password before saving
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -173,4 +340,24 @@ UserSchema.methods.comparePassword = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
+// Method to clear a pending email change (doesn't save directly)
+UserSchema.methods.clearPendingEmail = function () {
+  this.pendingEmail = null;
+  this.emailChangeOTP = null;
+  this.emailChangeOTPExpires = null;
+  this.emailChangeOTPAttempts = 0;
+  return this;
+};
+
+// Method to check whether a viewer may see this user's posts and follow lists
+UserSchema.methods.canBeViewedBy = function (viewerId) {
+  if (!this.isPrivate) return true;
+  if (!viewerId) return false;
+  if (this._id.toString() === viewerId.toString()) return true;
+
+  return this.followers.some(
+    follow => follow.user && follow.user.toString() === viewerId.toString()
+  );
+};
+
 module.exports = mongoose.model("User", UserSchema);
@@ -34,14 +34,20 @@ $headers = getallheaders();
 unset($headers['Host']);
 unset($headers['Content-Length']);
 
-// Convert headers to format needed for curl
+// Convert headers to format needed for curl. Forwarding headers sent by the
+// client are dropped so they can't pose as another address
 $curlHeaders = [];
 foreach ($headers as $key => $value) {
-    if ($key !== 'Host' && $key !== 'Content-Length') {
+    $name = strtolower($key);
+    if ($name !== 'host' && $name !== 'content-length' && $name !== 'x-forwarded-for' && $name !== 'x-real-ip') {
         $curlHeaders[] = "$key: $value";
     }
 }
 
+// Pass on the client's address; the API reads it when TRUST_PROXY is set,
+// and uses it to throttle logins and password resets per client
+$curlHeaders[] = "X-Forwarded-For: " . $_SERVER['REMOTE_ADDR'];
+
 // Get request body for POST, PUT, etc.
 $body = file_get_contents('php://input');
 
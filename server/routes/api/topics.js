@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const { check } = require("express-validator");
 const auth = require("../../middleware/auth");
+const optionalAuth = require("../../middleware/optionalAuth");
 const topicController = require("../../controllers/topicController");
 
 // @route   GET api/topics
@@ -32,7 +33,7 @@ router.get("/:id", topicController.getTopicById);
 // @route   GET api/topics/:id/posts
 // @desc    Get all posts for a topic
 // @access  Public
-router.get("/:id/posts", topicController.getTopicPosts);
+router.get("/:id/posts", optionalAuth, topicController.getTopicPosts);
 
 // @route   POST api/topics
 // @desc    Create a new topic
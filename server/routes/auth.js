@@ -1,9 +1,75 @@
 const express = require("express");
 const router = express.Router();
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const auth = require("../middleware/auth");
-const { generateOTP, sendVerificationEmail, sendWelcomeEmail } = require("../services/emailService");
+const sessionService = require("../services/sessionService");
+const twoFactorService = require("../services/twoFactorService");
+const { generateSecret, verifyTOTP, buildOtpauthURI } = require("../utils/totp");
+const {
+  generateOTP,
+  sendVerificationEmail,
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeVerificationEmail,
+  sendEmailChangeNoticeEmail,
+  sendFailedLoginAlertEmail
+} = require("../services/emailService");
+const loginThrottleService = require("../services/loginThrottleService");
+
+// Minimum time between verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+// Minimum time between password reset emails for the same account
+const PASSWORD_RESET_COOLDOWN_SECONDS = 60;
+
+/**
+ * Send a 429 for a throttled client
+ * @param {Object} res - Express response
+ * @param {number} seconds - Seconds until the client may try again
+ * @param {string} message - Error message
+ */
+const sendTooManyRequests = (res, seconds, message) => {
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({ message, retryAfter: seconds });
+};
+
+/**
+ * Send a 429 if a user's second-factor codes are locked out after too many failures
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @returns {Object|null} - The response if it was sent, otherwise null
+ */
+const sendTwoFactorLockout = (res, user) => {
+  const seconds = twoFactorService.getLockoutSeconds(user);
+  if (seconds === 0) return null;
+
+  return sendTooManyRequests(
+    res,
+    seconds,
+    `Too many invalid codes. Please try again in ${Math.ceil(seconds / 60)} minutes.`
+  );
+};
+
+/**
+ * Record a failed second-factor check against a user's lockout
+ * @param {Object} user - User document
+ */
+const recordTwoFactorFailure = async (user) => {
+  twoFactorService.recordFailedAttempt(user);
+  await user.save();
+};
+
+/**
+ * Get how long until another verification email may be sent to a user
+ * @param {Object} user - User document
+ * @returns {number} - Seconds to wait (0 if a code can be sent now)
+ */
+const getVerificationResendWait = (user) => {
+  if (!user.emailVerificationOTPSentAt) return 0;
+
+  const elapsed = (Date.now() - user.emailVerificationOTPSentAt.getTime()) / 1000;
+  return Math.max(0, Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsed));
+};
 
 // @route   POST /api/auth/signup
 // @desc    Register a user with email verification
@@ -43,7 +109,8 @@ router.post("/signup", async (req, res) => {
       isVerified: false, // Default value for verified badge
       emailVerificationOTP: otp,
       emailVerificationOTPExpires: otpExpires,
-      emailVerificationOTPAttempts: 0
+      emailVerificationOTPAttempts: 0,
+      emailVerificationOTPSentAt: new Date()
     });
 
     await user.save();
@@ -123,22 +190,10 @@ router.post("/verify-otp", async (req, res) => {
     // Send welcome email
     await sendWelcomeEmail(user.email, user.username);
 
-    // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-      },
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token, message: "Email verified successfully" });
-      }
-    );
+    // Start a session and issue access and refresh tokens
+    const { token, refreshToken } = await sessionService.createSession(user.id, req);
+
+    res.json({ token, refreshToken, message: "Email verified successfully" });
   } catch (err) {
     console.error(err.message);
     res.status(500).send("Server error");
@@ -163,6 +218,12 @@ router.post("/resend-otp", async (req, res) => {
       return res.status(400).json({ message: "Email is already verified" });
     }
 
+    // Enforce the resend cooldown
+    const wait = getVerificationResendWait(user);
+    if (wait > 0) {
+      return sendTooManyRequests(res, wait, `Please wait ${wait} seconds before requesting another code`);
+    }
+
     // Generate new OTP
     const otp = generateOTP();
     const otpExpires = new Date();
@@ -172,6 +233,7 @@ router.post("/resend-otp", async (req, res) => {
     user.emailVerificationOTP = otp;
     user.emailVerificationOTPExpires = otpExpires;
     user.emailVerificationOTPAttempts = 0;
+    user.emailVerificationOTPSentAt = new Date();
     await user.save();
 
     // Send verification email
@@ -204,54 +266,704 @@ router.post("/login", async (req, res) => {
       user = await User.findOne({ username: email });
     }
     
+    // Refuse attempts while the client or the account is locked out
+    const throttleKeys = [loginThrottleService.ipKey(req.ip)];
+    if (user) {
+      throttleKeys.push(loginThrottleService.accountKey(user.id));
+    }
+
+    const lockoutSeconds = await loginThrottleService.getLockoutSeconds(throttleKeys);
+    if (lockoutSeconds > 0) {
+      return sendTooManyRequests(
+        res,
+        lockoutSeconds,
+        `Too many failed login attempts. Please try again in ${lockoutSeconds} seconds.`
+      );
+    }
+
     if (!user) {
+      await loginThrottleService.recordIpFailure(req.ip);
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
+    // Check password before anything else, so strangers can't trigger emails
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await loginThrottleService.recordIpFailure(req.ip);
+      const throttle = await loginThrottleService.recordAccountFailure(user.id);
+
+      // Warn the owner once the account gets locked
+      if (throttle.failures === loginThrottleService.ACCOUNT_FAILURE_THRESHOLD) {
+        try {
+          await sendFailedLoginAlertEmail(user.email, user.username, throttle.failures, req.ip);
+        } catch (emailError) {
+          console.error("Failed to send failed login alert:", emailError);
+        }
+      }
+
+      return res.status(400).json({ message: "Invalid credentials" });
+    }
+
+    await loginThrottleService.clearAccountFailures(user.id);
+
     // Check if email is verified
     if (!user.isEmailVerified) {
-      // Generate new OTP for unverified user
-      const otp = generateOTP();
-      const otpExpires = new Date();
-      otpExpires.setMinutes(otpExpires.getMinutes() + 15);
-
-      user.emailVerificationOTP = otp;
-      user.emailVerificationOTPExpires = otpExpires;
-      user.emailVerificationOTPAttempts = 0;
-      await user.save();
-
-      // Send verification email
-      await sendVerificationEmail(user.email, otp, user.username);
+      // Only send a new code once the resend cooldown has passed
+      if (getVerificationResendWait(user) === 0) {
+        const otp = generateOTP();
+        const otpExpires = new Date();
+        otpExpires.setMinutes(otpExpires.getMinutes() + 15);
+
+        user.emailVerificationOTP = otp;
+        user.emailVerificationOTPExpires = otpExpires;
+        user.emailVerificationOTPAttempts = 0;
+        user.emailVerificationOTPSentAt = new Date();
+        await user.save();
+
+        // Send verification email
+        await sendVerificationEmail(user.email, otp, user.username);
+
+        return res.status(403).json({ 
+          message: "Email not verified. A new verification code has been sent to your email.",
+          userId: user._id,
+          requiresVerification: true
+        });
+      }
 
       return res.status(403).json({ 
-        message: "Email not verified. A new verification code has been sent to your email.",
+        message: "Email not verified. Please use the verification code we recently sent to your email.",
         userId: user._id,
         requiresVerification: true
       });
     }
 
-    // Check password
+    // With 2FA enabled, the password only earns a challenge for the second step
+    if (user.twoFactorEnabled) {
+      return res.json({
+        requires2fa: true,
+        challengeToken: twoFactorService.createChallengeToken(user.id)
+      });
+    }
+
+    // Start a session and issue access and refresh tokens
+    const { token, refreshToken } = await sessionService.createSession(user.id, req);
+
+    res.json({ token, refreshToken });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a 2FA login with a TOTP or recovery code
+// @access  Public
+router.post("/login/2fa", async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  try {
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: "Challenge token and code are required" });
+    }
+
+    const userId = twoFactorService.verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: "Login challenge has expired. Please log in again." });
+    }
+
+    // Invalid codes count towards the same client and account lockouts as passwords
+    const throttleSeconds = await loginThrottleService.getLockoutSeconds([
+      loginThrottleService.ipKey(req.ip),
+      loginThrottleService.accountKey(userId)
+    ]);
+    if (throttleSeconds > 0) {
+      return sendTooManyRequests(
+        res,
+        throttleSeconds,
+        `Too many failed login attempts. Please try again in ${throttleSeconds} seconds.`
+      );
+    }
+
+    const user = await User.findById(userId)
+      .select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep");
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: "Login challenge has expired. Please log in again." });
+    }
+
+    // Refuse codes while locked out; the count only resets after a successful code
+    if (sendTwoFactorLockout(res, user)) return;
+
+    const method = twoFactorService.verifySecondFactor(user, code);
+    if (!method) {
+      await recordTwoFactorFailure(user);
+      await loginThrottleService.recordIpFailure(req.ip);
+      await loginThrottleService.recordAccountFailure(user.id);
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    await loginThrottleService.clearAccountFailures(user.id);
+
+    user.twoFactorFailedAttempts = 0;
+    user.twoFactorLastFailedAt = null;
+    await user.save();
+
+    // Start a session and issue access and refresh tokens
+    const { token, refreshToken } = await sessionService.createSession(user.id, req);
+
+    res.json({
+      token,
+      refreshToken,
+      recoveryCodesRemaining: method === "recovery" ? user.twoFactorRecoveryCodes.length : undefined
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and get the secret for an authenticator app
+// @access  Private
+router.post("/2fa/setup", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    // Keep the secret pending until the user proves their app is set up
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthURI(secret, user.username)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm 2FA enrollment with a code and get recovery codes
+// @access  Private
+router.post("/2fa/confirm", auth, async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactorPendingSecret");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    const step = verifyTOTP(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorFailedAttempts = 0;
+    user.twoFactorLastFailedAt = null;
+    await user.save();
+
+    // Recovery codes are only ever shown here
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (requires a current code)
+// @access  Private
+router.post("/2fa/recovery-codes", auth, async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id)
+      .select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    // Codes count towards the same lockout as at login, so a stolen access
+    // token can't be used to guess them
+    if (sendTwoFactorLockout(res, user)) return;
+
+    if (!twoFactorService.verifySecondFactor(user, code)) {
+      await recordTwoFactorFailure(user);
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorFailedAttempts = 0;
+    user.twoFactorLastFailedAt = null;
+    await user.save();
+
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a current code)
+// @access  Private
+router.post("/2fa/disable", auth, async (req, res) => {
+  const { password, code } = req.body;
+
+  try {
+    if (!password || !code) {
+      return res.status(400).json({ message: "Password and code are required" });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    // Wrong passwords and codes both count towards the second-factor lockout
+    if (sendTwoFactorLockout(res, user)) return;
+
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordTwoFactorFailure(user);
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-      },
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
-      }
-    );
+    if (!twoFactorService.verifySecondFactor(user, code)) {
+      await recordTwoFactorFailure(user);
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = null;
+    user.twoFactorFailedAttempts = 0;
+    user.twoFactorLastFailedAt = null;
+    await user.save();
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token pair
+// @access  Public
+router.post("/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await sessionService.refreshSession(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: "Refresh token is not valid" });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post("/logout", auth, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.id, req.sessionId);
+
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      socketInstance.disconnectSession(req.sessionId);
+    }
+
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      device: session.device,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session._id.toString() === req.sessionId
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a session and disconnect its live sockets
+// @access  Private
+router.delete("/sessions/:id", auth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      socketInstance.disconnectSession(req.params.id);
+    }
+
+    res.json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete("/sessions", auth, async (req, res) => {
+  try {
+    const revokedIds = await sessionService.revokeAllSessions(req.user.id, req.sessionId);
+
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      revokedIds.forEach(sessionId => socketInstance.disconnectSession(sessionId));
+    }
+
+    res.json({ success: true, revoked: revokedIds.length });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset code to the account's email
+// @access  Public
+router.post("/forgot-password", async (req, res) => {
+  const { email } = req.body;
+
+  // Same response whether or not the account exists, so emails can't be probed
+  const genericResponse = { message: "If an account exists for that email, a password reset code has been sent." };
+
+  try {
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Limit how many reset emails one client can trigger
+    const throttleKey = loginThrottleService.resetRequestKey(req.ip);
+    const lockoutSeconds = await loginThrottleService.getLockoutSeconds([throttleKey]);
+    if (lockoutSeconds > 0) {
+      return sendTooManyRequests(
+        res,
+        lockoutSeconds,
+        `Too many password reset requests. Please try again in ${lockoutSeconds} seconds.`
+      );
+    }
+    await loginThrottleService.recordResetRequest(req.ip);
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.isEmailVerified) {
+      return res.json(genericResponse);
+    }
+
+    // One code per cooldown for each account; the response stays the same so
+    // the cooldown doesn't reveal that the account exists
+    if (user.passwordResetOTPSentAt &&
+        Date.now() - user.passwordResetOTPSentAt.getTime() < PASSWORD_RESET_COOLDOWN_SECONDS * 1000) {
+      return res.json(genericResponse);
+    }
+
+    // Generate reset code
+    const otp = generateOTP();
+    const otpExpires = new Date();
+    otpExpires.setMinutes(otpExpires.getMinutes() + 15); // Code expires in 15 minutes
+
+    user.passwordResetOTP = otp;
+    user.passwordResetOTPExpires = otpExpires;
+    user.passwordResetOTPAttempts = 0;
+    user.passwordResetOTPSentAt = new Date();
+    await user.save();
+
+    // Send password reset email
+    await sendPasswordResetEmail(user.email, otp, user.username);
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with an emailed code and sign out all sessions
+// @access  Public
+router.post("/reset-password", async (req, res) => {
+  const { email, otp, password } = req.body;
+
+  try {
+    if (!email || !otp || !password) {
+      return res.status(400).json({ message: "Email, reset code and new password are required" });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: "Password must be at least 6 characters" });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select("+passwordResetOTP");
+    if (!user || !user.passwordResetOTP) {
+      return res.status(400).json({ message: "Invalid or expired reset code" });
+    }
+
+    // Check if code has expired
+    if (new Date() > user.passwordResetOTPExpires) {
+      return res.status(400).json({ message: "Reset code has expired" });
+    }
+
+    // Increment attempt counter
+    user.passwordResetOTPAttempts += 1;
+
+    // Check if max attempts reached (5 attempts)
+    if (user.passwordResetOTPAttempts >= 5) {
+      user.passwordResetOTP = null;
+      user.passwordResetOTPExpires = null;
+      await user.save();
+      return res.status(400).json({ message: "Maximum reset attempts exceeded. Please request a new code." });
+    }
+
+    // Check if code matches
+    if (user.passwordResetOTP !== otp) {
+      await user.save();
+      return res.status(400).json({ message: "Invalid or expired reset code" });
+    }
+
+    // Code is valid, update the password (hashed by the pre-save hook)
+    user.password = password;
+    user.passwordResetOTP = null;
+    user.passwordResetOTPExpires = null;
+    user.passwordResetOTPAttempts = 0;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign out everywhere: revoke all sessions and drop live sockets
+    await sessionService.revokeAllSessions(user.id);
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      socketInstance.disconnectUser(user.id);
+    }
+
+    res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: "Validation error", errors: err.errors });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/change-email
+// @desc    Request an email change; a code is sent to the new address
+// @access  Private
+router.post("/change-email", auth, async (req, res) => {
+  const { newEmail, password } = req.body;
+
+  try {
+    if (!newEmail || !password) {
+      return res.status(400).json({ message: "New email and password are required" });
+    }
+
+    const email = newEmail.toLowerCase().trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ message: "Invalid email address" });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Confirm the request comes from the account owner
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Invalid credentials" });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({ message: "This is already your email address" });
+    }
+
+    // Check if the address belongs to another account, verified or not
+    const existingUser = await User.exists({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: "Email is already in use" });
+    }
+
+    // Generate OTP; a new request replaces any earlier pending change
+    const otp = generateOTP();
+    const otpExpires = new Date();
+    otpExpires.setMinutes(otpExpires.getMinutes() + 15); // OTP expires in 15 minutes
+
+    user.pendingEmail = email;
+    user.emailChangeOTP = otp;
+    user.emailChangeOTPExpires = otpExpires;
+    user.emailChangeOTPAttempts = 0;
+    await user.save();
+
+    // Send the code to the new address
+    await sendEmailChangeVerificationEmail(email, otp, user.username);
+
+    // Let the current address know, but don't fail the request if the notice bounces
+    try {
+      await sendEmailChangeNoticeEmail(user.email, email, user.username);
+    } catch (emailError) {
+      console.error("Failed to send email change notice:", emailError);
+    }
+
+    res.json({
+      message: "A verification code has been sent to your new email address",
+      pendingEmail: email
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/auth/verify-email-change
+// @desc    Confirm a pending email change with the code sent to the new address
+// @access  Private
+router.post("/verify-email-change", auth, async (req, res) => {
+  const { otp } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id).select("+emailChangeOTP");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.pendingEmail || !user.emailChangeOTP) {
+      return res.status(400).json({ message: "No pending email change" });
+    }
+
+    // Expire stale requests
+    if (new Date() > user.emailChangeOTPExpires) {
+      user.clearPendingEmail();
+      await user.save();
+      return res.status(400).json({ message: "Verification code has expired. Please request the change again." });
+    }
+
+    // Increment attempt counter
+    user.emailChangeOTPAttempts += 1;
+
+    // Check if max attempts reached (5 attempts)
+    if (user.emailChangeOTPAttempts >= 5) {
+      user.clearPendingEmail();
+      await user.save();
+      return res.status(400).json({ message: "Maximum verification attempts exceeded. Please request the change again." });
+    }
+
+    // Check if OTP matches
+    if (user.emailChangeOTP !== otp) {
+      await user.save();
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    // Re-check uniqueness, the address may have been claimed since the request.
+    // Another account holding it is never removed, even if it's unverified
+    const existingUser = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+    if (existingUser) {
+      user.clearPendingEmail();
+      await user.save();
+      return res.status(400).json({ message: "Email is already in use" });
+    }
+
+    // Commit the swap
+    user.email = user.pendingEmail;
+    user.clearPendingEmail();
+    await user.save();
+
+    res.json({ message: "Email address updated successfully", email: user.email });
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "Email is already in use" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   DELETE /api/auth/change-email
+// @desc    Cancel a pending email change
+// @access  Private
+router.delete("/change-email", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    user.clearPendingEmail();
+    await user.save();
+
+    res.json({ message: "Pending email change cancelled" });
   } catch (err) {
     console.error(err.message);
     res.status(500).send("Server error");
@@ -264,6 +976,13 @@ router.post("/login", async (req, res) => {
 router.get("/user", auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select("-password -emailVerificationOTP -emailVerificationOTPExpires -emailVerificationOTPAttempts");
+
+    // Expire a stale pending email change
+    if (user && user.pendingEmail && user.emailChangeOTPExpires && new Date() > user.emailChangeOTPExpires) {
+      user.clearPendingEmail();
+      await user.save();
+    }
+
     res.json(user);
   } catch (err) {
     console.error(err.message);
@@ -1,21 +1,86 @@
 const express = require("express");
 const router = express.Router();
-const mongoose = require("mongoose");
 const Message = require("../models/Message");
 const Conversation = require("../models/Conversation");
 const User = require("../models/User");
 const auth = require("../middleware/auth");
-const socketHandler = require("../socket/socketHandler");
+const optionalAuth = require("../middleware/optionalAuth");
+const blockService = require("../services/blockService");
+const messageService = require("../services/messageService");
+const attachmentService = require("../services/attachmentService");
+const { paginate } = require("../utils/pagination");
+const { listReactions } = require("../utils/reactions");
+
+/**
+ * Send an error thrown by the message service, or a generic server error
+ * @param {Object} res - Express response
+ * @param {Error} err - Error
+ * @param {string} notFoundMessage - Message for invalid IDs
+ */
+const sendMessagingError = (res, err, notFoundMessage = "Conversation not found") => {
+  if (err.name === "MessagingError") {
+    return res.status(err.status).json({ message: err.message });
+  }
+  if (err.kind === "ObjectId") {
+    return res.status(404).json({ message: notFoundMessage });
+  }
+  res.status(500).send("Server Error");
+};
+
+/**
+ * Push the latest state of a conversation to all of its participants
+ * @param {Object} req - Express request
+ * @param {string} conversationId - Conversation ID
+ */
+const broadcastConversationUpdate = async (req, conversationId) => {
+  const socketInstance = req.app.get('socketInstance');
+  if (!socketInstance) return;
+  
+  try {
+    const populatedConversation = await messageService.getPopulatedConversation(conversationId);
+    if (populatedConversation) {
+      socketInstance.sendToConversation(populatedConversation, 'conversation_update', populatedConversation);
+    }
+  } catch (socketError) {
+    console.error("Socket error when sending conversation update:", socketError);
+    // Continue even if socket notification fails
+  }
+};
+
+/**
+ * Tell users they are no longer in a conversation
+ * @param {Object} req - Express request
+ * @param {Array<string>} userIds - Removed user IDs
+ * @param {string} conversationId - Conversation ID
+ */
+const notifyRemoved = (req, userIds, conversationId) => {
+  const socketInstance = req.app.get('socketInstance');
+  if (!socketInstance) return;
+  
+  userIds.forEach(userId => {
+    socketInstance.sendToUser(userId.toString(), 'conversation_removed', { conversationId });
+  });
+};
 
 // @route   GET /api/messages/conversations
-// @desc    Get all conversations for the current user
+// @desc    Get all conversations for the current user (?folder=requests|archived)
 // @access  Private
 router.get("/conversations", auth, async (req, res) => {
   try {
+    const folder = req.query.folder;
+    
+    // Message requests are kept out of the inbox until accepted
+    const filter = { participants: req.user.id };
+    if (folder === "requests") {
+      filter.pendingFor = req.user.id;
+      filter.lastMessage = { $ne: null };
+    } else {
+      filter.pendingFor = { $ne: req.user.id };
+      filter[`isArchived.${req.user.id}`] = folder === "archived" ? true : { $ne: true };
+    }
+    
     // Find all conversations where the current user is a participant
-    let conversations = await Conversation.find({
-      participants: req.user.id
-    })
+    let conversations = await Conversation.find(filter)
       .populate({
         path: "participants",
         select: "username displayName avatar"
@@ -28,40 +93,22 @@ router.get("/conversations", auth, async (req, res) => {
         }
       })
       .sort({ updatedAt: -1 });
-
-    // For each conversation, determine the other participant
-    // and compute additional metadata for the current user's view
-    conversations = conversations.map(conversation => {
-      const conversationObj = conversation.toObject();
-      
-      // Find the other participant
-      const otherParticipant = conversationObj.participants.find(
-        p => p._id.toString() !== req.user.id
-      );
-      
-      // Get user-specific settings 
-      const userIdStr = req.user.id.toString();
-      const unreadCount = conversation.unreadCount.get(userIdStr) || 0;
-      const isPinned = conversation.isPinned.get(userIdStr) || false;
-      const isMuted = conversation.isMuted.get(userIdStr) || false;
-      
-      // Add computed fields
-      return {
-        ...conversationObj,
-        otherParticipant,
-        unreadCount,
-        isPinned,
-        isMuted
-      };
-    });
-
+    
+    // Cleared (and declined) conversations only come back with a new message
+    conversations = conversations.filter(conversation => !conversation.isClearedFor(req.user.id));
+    
+    // Compute the current user's view: other participant, unread count and settings
+    conversations = await Promise.all(conversations.map(conversation =>
+      messageService.formatConversation(conversation, req.user.id)
+    ));
+    
     // Sort by pinned status first, then by last message date
     conversations.sort((a, b) => {
       if (a.isPinned && !b.isPinned) return -1;
       if (!a.isPinned && b.isPinned) return 1;
       return new Date(b.lastMessageDate) - new Date(a.lastMessageDate);
     });
-
+    
     res.json(conversations);
   } catch (err) {
     console.error("Error getting conversations:", err.message);
@@ -69,48 +116,47 @@ router.get("/conversations", auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/messages/conversations/group
+// @desc    Create a group conversation
+// @access  Private
+router.post("/conversations/group", auth, async (req, res) => {
+  try {
+    const { name, avatar, participantIds } = req.body;
+    
+    const conversation = await messageService.createGroup(req.user.id, {
+      name,
+      avatar,
+      participantIds
+    });
+    
+    await broadcastConversationUpdate(req, conversation._id);
+    
+    const populatedConversation = await messageService.getPopulatedConversation(conversation._id);
+    res.json(await messageService.formatConversation(populatedConversation, req.user.id));
+  } catch (err) {
+    console.error("Error creating group conversation:", err.message);
+    sendMessagingError(res, err, "User not found");
+  }
+});
+
 // @route   GET /api/messages/conversations/:id
 // @desc    Get a specific conversation by ID
 // @access  Private
 router.get("/conversations/:id", auth, async (req, res) => {
   try {
-    const conversation = await Conversation.findById(req.params.id)
-      .populate({
-        path: "participants",
-        select: "username displayName avatar"
-      })
-      .populate({
-        path: "lastMessage",
-        populate: {
-          path: "senderId",
-          select: "username displayName avatar"
-        }
-      });
-
+    const conversation = await messageService.getPopulatedConversation(req.params.id);
+    
     if (!conversation) {
       return res.status(404).json({ message: "Conversation not found" });
     }
-
+    
     // Verify the user is a participant in this conversation
-    if (!conversation.participants.some(p => p._id.toString() === req.user.id)) {
+    if (!conversation.isParticipant(req.user.id)) {
       return res.status(403).json({ message: "Not authorized" });
     }
-
+    
     // Return the conversation with user-specific data
-    const conversationObj = conversation.toObject();
-    const userIdStr = req.user.id.toString();
-    
-    const result = {
-      ...conversationObj,
-      otherParticipant: conversationObj.participants.find(
-        p => p._id.toString() !== req.user.id
-      ),
-      unreadCount: conversation.unreadCount.get(userIdStr) || 0,
-      isPinned: conversation.isPinned.get(userIdStr) || false,
-      isMuted: conversation.isMuted.get(userIdStr) || false
-    };
-
-    res.json(result);
+    res.json(await messageService.formatConversation(conversation, req.user.id));
   } catch (err) {
     console.error("Error getting conversation:", err.message);
     if (err.kind === "ObjectId") {
@@ -120,6 +166,161 @@ router.get("/conversations/:id", auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/messages/conversations/:id
+// @desc    Update a group's name or avatar (admins only)
+// @access  Private
+router.put("/conversations/:id", auth, async (req, res) => {
+  try {
+    const { name, avatar } = req.body;
+    
+    await messageService.updateGroup(req.params.id, req.user.id, { name, avatar });
+    await broadcastConversationUpdate(req, req.params.id);
+    
+    const populatedConversation = await messageService.getPopulatedConversation(req.params.id);
+    res.json(await messageService.formatConversation(populatedConversation, req.user.id));
+  } catch (err) {
+    console.error("Error updating group conversation:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   POST /api/messages/conversations/:id/members
+// @desc    Add members to a group (admins only)
+// @access  Private
+router.post("/conversations/:id/members", auth, async (req, res) => {
+  try {
+    const { userIds } = req.body;
+    
+    const { addedIds } = await messageService.addMembers(req.params.id, req.user.id, userIds);
+    await broadcastConversationUpdate(req, req.params.id);
+    
+    const populatedConversation = await messageService.getPopulatedConversation(req.params.id);
+    res.json({
+      addedIds,
+      conversation: await messageService.formatConversation(populatedConversation, req.user.id)
+    });
+  } catch (err) {
+    console.error("Error adding group members:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   DELETE /api/messages/conversations/:id/members/:userId
+// @desc    Remove a member from a group (admins only)
+// @access  Private
+router.delete("/conversations/:id/members/:userId", auth, async (req, res) => {
+  try {
+    await messageService.removeMember(req.params.id, req.user.id, req.params.userId);
+    
+    notifyRemoved(req, [req.params.userId], req.params.id);
+    await broadcastConversationUpdate(req, req.params.id);
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error removing group member:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   POST /api/messages/conversations/:id/leave
+// @desc    Leave a group conversation
+// @access  Private
+router.post("/conversations/:id/leave", auth, async (req, res) => {
+  try {
+    const conversation = await messageService.leaveGroup(req.params.id, req.user.id);
+    
+    notifyRemoved(req, [req.user.id], req.params.id);
+    if (conversation) {
+      await broadcastConversationUpdate(req, conversation._id);
+    }
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error leaving group conversation:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   POST /api/messages/conversations/:id/accept
+// @desc    Accept a message request, moving it into the inbox
+// @access  Private
+router.post("/conversations/:id/accept", auth, async (req, res) => {
+  try {
+    const conversation = await messageService.acceptRequest(req.params.id, req.user.id);
+    
+    const populatedConversation = await messageService.getPopulatedConversation(conversation._id);
+    const formatted = await messageService.formatConversation(populatedConversation, req.user.id);
+    
+    // Update the user's other devices
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      try {
+        socketInstance.sendToUser(req.user.id, 'conversation_update', populatedConversation);
+      } catch (socketError) {
+        console.error("Socket error when sending conversation update:", socketError);
+        // Continue even if socket notification fails
+      }
+    }
+    
+    res.json(formatted);
+  } catch (err) {
+    console.error("Error accepting message request:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   POST /api/messages/conversations/:id/decline
+// @desc    Decline a message request, optionally blocking the sender ({ block: true })
+// @access  Private
+router.post("/conversations/:id/decline", auth, async (req, res) => {
+  try {
+    const conversation = await messageService.declineRequest(req.params.id, req.user.id);
+    
+    const blocked = Boolean(req.body.block);
+    if (blocked) {
+      const [senderId] = conversation.getOtherParticipantIds(req.user.id);
+      await blockService.blockUser(req.user.id, senderId);
+    }
+    
+    notifyRemoved(req, [req.user.id], req.params.id);
+    
+    res.json({ success: true, blocked });
+  } catch (err) {
+    console.error("Error declining message request:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   PUT /api/messages/conversations/:id/admins/:userId
+// @desc    Make a member a group admin (admins only)
+// @access  Private
+router.put("/conversations/:id/admins/:userId", auth, async (req, res) => {
+  try {
+    const conversation = await messageService.setAdmin(req.params.id, req.user.id, req.params.userId, true);
+    await broadcastConversationUpdate(req, req.params.id);
+    
+    res.json({ success: true, admins: conversation.admins });
+  } catch (err) {
+    console.error("Error adding group admin:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   DELETE /api/messages/conversations/:id/admins/:userId
+// @desc    Remove a member's admin role (admins only)
+// @access  Private
+router.delete("/conversations/:id/admins/:userId", auth, async (req, res) => {
+  try {
+    const conversation = await messageService.setAdmin(req.params.id, req.user.id, req.params.userId, false);
+    await broadcastConversationUpdate(req, req.params.id);
+    
+    res.json({ success: true, admins: conversation.admins });
+  } catch (err) {
+    console.error("Error removing group admin:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
 // @route   GET /api/messages/conversations/:userId/with
 // @desc    Get or create a conversation with a specific user
 // @access  Private
@@ -138,56 +339,28 @@ router.get("/conversations/:userId/with", auth, async (req, res) => {
       return res.status(400).json({ message: "Cannot message yourself" });
     }
     
-    // Find existing conversation or create a new one
-    let conversation = await Conversation.findOne({
-      participants: { $all: [req.user.id, otherUserId] }
-    })
-      .populate({
-        path: "participants",
-        select: "username displayName avatar"
-      })
-      .populate({
-        path: "lastMessage",
-        populate: {
-          path: "senderId",
-          select: "username displayName avatar"
-        }
-      });
+    // Existing history stays readable, but blocked users can't start a conversation
+    const isBlocked = await blockService.isBlockedBetween(req.user.id, otherUserId);
+    
+    // Find the existing direct conversation or create a new one
+    let conversation = await Conversation.findDirect(req.user.id, otherUserId);
+    
+    if (!conversation && isBlocked) {
+      return res.status(403).json({ message: "You can't message this user" });
+    }
     
     if (!conversation) {
-      // Create a new conversation
-      conversation = new Conversation({
-        participants: [req.user.id, otherUserId],
-        unreadCount: new Map(),
-        isPinned: new Map(),
-        isMuted: new Map()
-      });
-      
-      await conversation.save();
-      
-      // Re-fetch with populated fields
-      conversation = await Conversation.findById(conversation._id)
-        .populate({
-          path: "participants",
-          select: "username displayName avatar"
-        });
+      conversation = await messageService.getOrCreateDirectConversation(req.user.id, otherUserId);
     }
     
-    // Return conversation with user-specific data
-    const conversationObj = conversation.toObject();
-    const userIdStr = req.user.id.toString();
-    
-    const result = {
-      ...conversationObj,
-      otherParticipant: conversationObj.participants.find(
-        p => p._id.toString() !== req.user.id
-      ),
-      unreadCount: conversation.unreadCount.get(userIdStr) || 0,
-      isPinned: conversation.isPinned.get(userIdStr) || false,
-      isMuted: conversation.isMuted.get(userIdStr) || false
-    };
+    // Re-fetch with populated fields
+    conversation = await messageService.getPopulatedConversation(conversation._id);
     
-    res.json(result);
+    // Return conversation with user-specific data
+    res.json({
+      ...(await messageService.formatConversation(conversation, req.user.id)),
+      isBlocked
+    });
   } catch (err) {
     console.error("Error getting or creating conversation:", err.message);
     if (err.kind === "ObjectId") {
@@ -197,15 +370,122 @@ router.get("/conversations/:userId/with", auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/messages/conversations/:id/attachments
+// @desc    Upload a file to a conversation (multipart field "file"), then send it with media: [{ attachmentId }]
+// @access  Private
+router.post("/conversations/:id/attachments", auth, async (req, res) => {
+  try {
+    // Check membership before accepting any data
+    const conversation = await messageService.getConversationForMember(req.params.id, req.user.id);
+    
+    const file = await attachmentService.receiveUpload(req, res);
+    if (!file) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+    
+    const attachment = await attachmentService.createAttachment(conversation._id, req.user.id, file);
+    res.json(attachmentService.formatAttachment(attachment));
+  } catch (err) {
+    console.error("Error uploading attachment:", err.message);
+    if (err.name === "AttachmentError") {
+      return res.status(err.status).json({ message: err.message });
+    }
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   GET /api/messages/attachments/:id
+// @desc    Download an attachment (with an auth token, or a signed link from /attachments/:id/url)
+// @access  Private
+router.get("/attachments/:id", optionalAuth, async (req, res) => {
+  try {
+    const userId = req.user
+      ? req.user.id
+      : attachmentService.verifySignedUrl(req.params.id, req.query);
+    
+    if (!userId) {
+      return res.status(401).json({ message: "No token, authorization denied" });
+    }
+    
+    const attachment = await messageService.getAttachmentForMember(req.params.id, userId);
+    
+    // Generic files always download rather than open in the browser
+    if (attachment.kind === "file") {
+      res.attachment(attachment.originalName || "attachment");
+    }
+    res.type(attachment.mimeType);
+    res.set({
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, no-cache"
+    });
+    
+    res.sendFile(attachmentService.getFilePath(attachment), (err) => {
+      if (err && !res.headersSent) {
+        console.error("Error sending attachment:", err.message);
+        res.status(404).json({ message: "Attachment not found" });
+      }
+    });
+  } catch (err) {
+    console.error("Error getting attachment:", err.message);
+    sendMessagingError(res, err, "Attachment not found");
+  }
+});
+
+// @route   GET /api/messages/attachments/:id/url
+// @desc    Get a short-lived link to an attachment for tags that can't send auth headers
+// @access  Private
+router.get("/attachments/:id/url", auth, async (req, res) => {
+  try {
+    const attachment = await messageService.getAttachmentForMember(req.params.id, req.user.id);
+    res.json(attachmentService.createSignedUrl(attachment, req.user.id));
+  } catch (err) {
+    console.error("Error signing attachment link:", err.message);
+    sendMessagingError(res, err, "Attachment not found");
+  }
+});
+
+// @route   GET /api/messages/search
+// @desc    Search messages in the user's conversations (?q=, optional conversationId)
+// @access  Private
+router.get("/search", auth, async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim();
+    
+    if (!q) {
+      return res.status(400).json({ message: "Search query is required" });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+    
+    const results = await messageService.searchMessages(req.user.id, q, {
+      conversationId: req.query.conversationId,
+      limit,
+      skip
+    });
+    
+    res.json({
+      query: q,
+      results,
+      pagination: {
+        page,
+        limit,
+        hasMore: results.length === limit
+      }
+    });
+  } catch (err) {
+    console.error("Error searching messages:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
 // @route   GET /api/messages/:conversationId
 // @desc    Get messages for a specific conversation with pagination
 // @access  Private
 router.get("/:conversationId", auth, async (req, res) => {
   try {
     const conversationId = req.params.conversationId;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
     
     // Verify the conversation exists and user is a participant
     const conversation = await Conversation.findById(conversationId);
@@ -214,102 +494,53 @@ router.get("/:conversationId", auth, async (req, res) => {
       return res.status(404).json({ message: "Conversation not found" });
     }
     
-    if (!conversation.participants.some(p => p.toString() === req.user.id)) {
+    if (!conversation.isParticipant(req.user.id)) {
       return res.status(403).json({ message: "Not authorized" });
     }
     
-    // Find the other participant
-    const otherParticipantId = conversation.participants.find(
-      p => p.toString() !== req.user.id
-    );
-    
-    // Find messages between these users, sorted by newest first for pagination
-    const total = await Message.countDocuments({
-      $or: [
-        { 
-          senderId: req.user.id, 
-          receiverId: otherParticipantId 
-        },
-        { 
-          senderId: otherParticipantId, 
-          receiverId: req.user.id 
+    // Get the conversation's messages, newest first for pagination.
+    // Older history is loaded by passing nextCursor back as `before`.
+    const { items: messages, pagination } = await paginate(
+      Message,
+      messageService.getVisibleMessageFilter(conversation, req.user.id),
+      req.query,
+      {
+        defaultLimit: 20,
+        populate: {
+          path: "senderId",
+          select: "username displayName avatar"
         }
-      ]
-    });
+      }
+    );
     
-    // Get messages with pagination, but sort by oldest first in response
-    const messages = await Message.find({
-      $or: [
-        { 
-          senderId: req.user.id, 
-          receiverId: otherParticipantId 
-        },
-        { 
-          senderId: otherParticipantId, 
-          receiverId: req.user.id 
-        }
-      ]
-    })
-      .populate({
-        path: "senderId",
-        select: "username displayName avatar"
-      })
-      .sort({ createdAt: -1 }) // Newest first for pagination
-      .skip(skip)
-      .limit(limit);
-    
-    // Mark unread messages as read if they were sent to current user
-    const unreadMessages = messages.filter(
-      message => 
-        !message.isRead && 
-        message.receiverId.toString() === req.user.id
+    // Loading messages delivers them and marks them read
+    const receipt = await messageService.markRead(
+      conversation,
+      req.user.id,
+      messages.map(m => m._id)
     );
     
-    if (unreadMessages.length > 0) {
-      await Message.updateMany(
-        { 
-          _id: { $in: unreadMessages.map(m => m._id) }
-        },
-        { 
-          isRead: true 
-        }
-      );
-      
-      // Reset unread count in conversation using new pattern
-      conversation.resetUnread(req.user.id);
-      await conversation.save();
-      
-      // Find sender ID (other participant)
-      const senderId = unreadMessages[0].senderId._id || unreadMessages[0].senderId;
-      
-      // Notify sender that messages were read via socket
-      const socketInstance = req.app.get('socketInstance');
-      if (socketInstance && socketInstance.isUserOnline(senderId.toString())) {
-        try {
-          socketInstance.sendToUser(senderId.toString(), 'messages_read', {
-            conversationId,
-            readBy: req.user.id
-          });
-        } catch (socketError) {
-          console.error("Socket error when notifying messages read:", socketError);
-          // Continue even if socket notification fails
-        }
+    // Notify the other participants via socket
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      try {
+        socketInstance.notifyRead(conversation, req.user.id, receipt);
+      } catch (socketError) {
+        console.error("Socket error when notifying messages read:", socketError);
+        // Continue even if socket notification fails
       }
     }
     
     // Return messages sorted by oldest first (reversing the database sort)
     res.json({
       messages: messages.reverse(),
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit),
-        hasMore: skip + messages.length < total
-      }
+      pagination
     });
   } catch (err) {
     console.error("Error getting messages:", err.message);
+    if (err.name === "InvalidCursorError") {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
     if (err.kind === "ObjectId") {
       return res.status(404).json({ message: "Conversation not found" });
     }
@@ -318,155 +549,199 @@ router.get("/:conversationId", auth, async (req, res) => {
 });
 
 // @route   POST /api/messages
-// @desc    Send a new message
+// @desc    Send a new message to a conversation (conversationId) or a user (receiverId)
 // @access  Private
 router.post("/", auth, async (req, res) => {
   try {
-    const { receiverId, content, media } = req.body;
+    const { conversationId, receiverId, content, media } = req.body;
     
-    if (!receiverId) {
-      return res.status(400).json({ message: "Recipient is required" });
-    }
+    const { message, conversation } = await messageService.sendMessage(req.user.id, {
+      conversationId,
+      receiverId,
+      content,
+      media
+    });
     
-    if ((!content || content.trim() === '') && (!media || media.length === 0)) {
-      return res.status(400).json({ message: "Message cannot be empty" });
+    // Deliver to the other participants in real time
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      try {
+        await socketInstance.deliverMessage(req.user.id, message, conversation);
+      } catch (socketError) {
+        console.error("Socket error when delivering message:", socketError);
+        // The message is saved; recipients will see it when they next load the conversation
+      }
     }
     
-    // Verify receiver exists
-    const receiver = await User.findById(receiverId);
-    if (!receiver) {
-      return res.status(404).json({ message: "Recipient not found" });
+    res.json(message);
+  } catch (err) {
+    console.error("Error sending message:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   PUT /api/messages/:id/read
+// @desc    Mark a message as read
+// @access  Private
+router.put("/:id/read", auth, async (req, res) => {
+  try {
+    const message = await Message.findById(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
     }
     
-    // Check if trying to message themselves
-    if (receiverId === req.user.id) {
-      return res.status(400).json({ message: "Cannot send message to yourself" });
+    const conversation = await Conversation.findById(message.conversationId);
+    
+    // Verify user is a recipient
+    if (!conversation || !conversation.isParticipant(req.user.id) ||
+        message.senderId.toString() === req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
     }
     
-    // Use the sendDirectMessage function from the socket handler
-    const socketInstance = req.app.get('socketInstance');
-    let savedMessage;
+    const receipt = await messageService.markRead(conversation, req.user.id, [message._id]);
     
-    if (socketInstance && socketInstance.sendDirectMessage) {
+    // Notify the other participants via socket
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
       try {
-        // Use socket handler to send message
-        savedMessage = await socketInstance.sendDirectMessage(
-          req.user.id,
-          receiverId,
-          { content, media }
-        );
+        socketInstance.notifyRead(conversation, req.user.id, receipt);
       } catch (socketError) {
-        console.error("Error using socket to send message:", socketError);
-        // Fall back to direct database operations
-        savedMessage = null;
+        console.error("Socket error when notifying message read:", socketError);
+        // Continue even if socket notification fails
       }
     }
     
-    // If socket handler failed or is not available, use direct database operations
-    if (!savedMessage) {
-      // Create new message
-      const newMessage = new Message({
-        senderId: req.user.id,
-        receiverId,
-        content: content || '',
-        media: media || [],
-        isRead: false
-      });
-      
-      savedMessage = await newMessage.save();
-      
-      // Find or create conversation
-      let conversation = await Conversation.findOne({
-        participants: { $all: [req.user.id, receiverId] }
-      });
-      
-      if (!conversation) {
-        conversation = new Conversation({
-          participants: [req.user.id, receiverId],
-          lastMessage: savedMessage._id,
-          lastMessageText: content || (media && media.length > 0 ? 'Sent media' : ''),
-          lastMessageDate: new Date(),
-          unreadCount: new Map([[receiverId, 1]])
-        });
-        await conversation.save();
-      } else {
-        // Update conversation metadata directly
-        conversation.lastMessage = savedMessage._id;
-        conversation.lastMessageText = content || (media && media.length > 0 ? 'Sent media' : '');
-        conversation.lastMessageDate = new Date();
-        
-        // Manually update unread count
-        const userIdStr = receiverId.toString();
-        const currentCount = conversation.unreadCount.get(userIdStr) || 0;
-        conversation.unreadCount.set(userIdStr, currentCount + 1);
-        
-        await conversation.save();
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error marking message as read:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Message not found" });
+    }
+    res.status(500).send("Server Error");
+  }
+});
+
+// @route   PUT /api/messages/:id
+// @desc    Edit a message's text (sender only, within MESSAGE_EDIT_WINDOW_MINUTES)
+// @access  Private
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const { message, conversation } = await messageService.editMessage(
+      req.params.id,
+      req.user.id,
+      req.body.content
+    );
+    
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      socketInstance.sendToConversation(conversation, 'message_updated', message, req.user.id);
+    }
+    
+    // Editing the latest message changes the conversation preview
+    if (conversation.lastMessage && conversation.lastMessage.toString() === message._id.toString()) {
+      await broadcastConversationUpdate(req, conversation._id);
+    }
+    
+    res.json(message);
+  } catch (err) {
+    console.error("Error editing message:", err.message);
+    sendMessagingError(res, err, "Message not found");
+  }
+});
+
+// @route   DELETE /api/messages/:id
+// @desc    Delete a message for yourself, or unsend it for everyone with ?for=everyone (sender only)
+// @access  Private
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const forEveryone = req.query.for === "everyone";
+    
+    const { message, conversation } = await messageService.deleteMessage(
+      req.params.id,
+      req.user.id,
+      forEveryone
+    );
+    
+    if (forEveryone) {
+      const socketInstance = req.app.get('socketInstance');
+      if (socketInstance) {
+        socketInstance.sendToConversation(conversation, 'message_deleted', {
+          messageId: message._id,
+          conversationId: conversation._id
+        }, req.user.id);
       }
+      
+      // The preview or unread counts may have changed
+      await broadcastConversationUpdate(req, conversation._id);
     }
     
-    // Return populated message
-    const populatedMessage = await Message.findById(savedMessage._id)
-      .populate({
-        path: "senderId",
-        select: "username displayName avatar"
-      });
+    res.json({ success: true, deletedFor: forEveryone ? "everyone" : "me" });
+  } catch (err) {
+    console.error("Error deleting message:", err.message);
+    sendMessagingError(res, err, "Message not found");
+  }
+});
+
+// @route   PUT /api/messages/:id/reactions
+// @desc    Add or remove an emoji reaction on a message
+// @access  Private
+router.put("/:id/reactions", auth, async (req, res) => {
+  try {
+    const { message, conversation, reacted } = await messageService.reactToMessage(
+      req.params.id,
+      req.user.id,
+      req.body.emoji
+    );
+    
+    const reaction = {
+      messageId: message._id,
+      conversationId: conversation._id,
+      userId: req.user.id,
+      emoji: req.body.emoji,
+      reacted,
+      reactionCounts: message.reactionCounts
+    };
     
-    res.json(populatedMessage);
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      socketInstance.sendToConversation(conversation, 'message_reaction', reaction, req.user.id);
+    }
+    
+    res.json({ success: true, ...reaction });
   } catch (err) {
-    console.error("Error sending message:", err.message);
-    res.status(500).send("Server Error");
+    console.error("Error reacting to message:", err.message);
+    sendMessagingError(res, err, "Message not found");
   }
 });
 
-// @route   PUT /api/messages/:id/read
-// @desc    Mark a message as read
+// @route   GET /api/messages/:id/reactions
+// @desc    Get reaction counts and who reacted to a message (optionally one ?emoji=)
 // @access  Private
-router.put("/:id/read", auth, async (req, res) => {
+router.get("/:id/reactions", auth, async (req, res) => {
   try {
-    const message = await Message.findById(req.params.id);
+    const message = await Message.findById(req.params.id)
+      .populate("reactions.user", "username displayName avatar");
     
     if (!message) {
       return res.status(404).json({ message: "Message not found" });
     }
     
-    // Verify user is the recipient
-    if (message.receiverId.toString() !== req.user.id) {
+    const conversation = await Conversation.findById(message.conversationId);
+    if (!conversation || !conversation.isParticipant(req.user.id)) {
       return res.status(403).json({ message: "Not authorized" });
     }
     
-    // Mark as read
-    message.isRead = true;
-    await message.save();
-    
-    // Find conversation and update unread count
-    const conversation = await Conversation.findOne({
-      participants: { $all: [message.senderId, message.receiverId] }
-    });
-    
-    if (conversation) {
-      // Use the new method that doesn't save directly
-      conversation.resetUnread(req.user.id);
-      await conversation.save();
-      
-      // Notify sender that message was read via socket
-      const socketInstance = req.app.get('socketInstance');
-      if (socketInstance && socketInstance.isUserOnline(message.senderId.toString())) {
-        try {
-          socketInstance.sendToUser(message.senderId.toString(), 'message_read', {
-            messageId: message._id,
-            conversationId: conversation._id,
-            readBy: req.user.id
-          });
-        } catch (socketError) {
-          console.error("Socket error when notifying message read:", socketError);
-          // Continue even if socket notification fails
-        }
-      }
+    if (!conversation.isMessageVisibleTo(message, req.user.id)) {
+      return res.status(404).json({ message: "Message not found" });
     }
     
-    res.json({ success: true });
+    res.json({
+      reactionCounts: message.reactionCounts,
+      reactions: listReactions(message, req.query.emoji)
+    });
   } catch (err) {
-    console.error("Error marking message as read:", err.message);
+    console.error("Error getting message reactions:", err.message);
     if (err.kind === "ObjectId") {
       return res.status(404).json({ message: "Message not found" });
     }
@@ -486,39 +761,17 @@ router.put("/conversations/:id/read", auth, async (req, res) => {
     }
     
     // Verify user is a participant
-    if (!conversation.participants.some(p => p.toString() === req.user.id)) {
+    if (!conversation.isParticipant(req.user.id)) {
       return res.status(403).json({ message: "Not authorized" });
     }
     
-    // Find the other participant
-    const otherParticipantId = conversation.participants.find(
-      p => p.toString() !== req.user.id
-    );
+    const receipt = await messageService.markRead(conversation, req.user.id);
     
-    // Mark all messages from other user as read
-    await Message.updateMany(
-      { 
-        senderId: otherParticipantId,
-        receiverId: req.user.id,
-        isRead: false
-      },
-      { 
-        isRead: true 
-      }
-    );
-    
-    // Reset unread count using the new method that doesn't save directly
-    conversation.resetUnread(req.user.id);
-    await conversation.save();
-    
-    // Notify other participant
+    // Notify other participants
     const socketInstance = req.app.get('socketInstance');
-    if (socketInstance && socketInstance.isUserOnline(otherParticipantId.toString())) {
+    if (socketInstance) {
       try {
-        socketInstance.sendToUser(otherParticipantId.toString(), 'messages_read', {
-          conversationId: conversation._id,
-          readBy: req.user.id
-        });
+        socketInstance.notifyRead(conversation, req.user.id, receipt);
       } catch (socketError) {
         console.error("Socket error when notifying conversation read:", socketError);
         // Continue even if socket notification fails
@@ -547,7 +800,7 @@ router.put("/conversations/:id/pin", auth, async (req, res) => {
     }
     
     // Verify user is a participant
-    if (!conversation.participants.some(p => p.toString() === req.user.id)) {
+    if (!conversation.isParticipant(req.user.id)) {
       return res.status(403).json({ message: "Not authorized" });
     }
     
@@ -558,7 +811,7 @@ router.put("/conversations/:id/pin", auth, async (req, res) => {
     // Get the new status
     const isPinned = conversation.isPinned.get(req.user.id.toString()) || false;
     
-    res.json({ 
+    res.json({
       success: true,
       isPinned
     });
@@ -583,7 +836,7 @@ router.put("/conversations/:id/mute", auth, async (req, res) => {
     }
     
     // Verify user is a participant
-    if (!conversation.participants.some(p => p.toString() === req.user.id)) {
+    if (!conversation.isParticipant(req.user.id)) {
       return res.status(403).json({ message: "Not authorized" });
     }
     
@@ -594,7 +847,7 @@ router.put("/conversations/:id/mute", auth, async (req, res) => {
     // Get the new status
     const isMuted = conversation.isMuted.get(req.user.id.toString()) || false;
     
-    res.json({ 
+    res.json({
       success: true,
       isMuted
     });
@@ -607,10 +860,43 @@ router.put("/conversations/:id/mute", auth, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/messages/conversations/:id
-// @desc    Delete a conversation (for current user only)
+// @route   PUT /api/messages/conversations/:id/disappearing
+// @desc    Set the disappearing messages timer ({ timer: "off" | "24h" | "7d" | "90d" })
 // @access  Private
-router.delete("/conversations/:id", auth, async (req, res) => {
+router.put("/conversations/:id/disappearing", auth, async (req, res) => {
+  try {
+    const { message, conversation } = await messageService.setMessageTimer(
+      req.params.id,
+      req.user.id,
+      req.body.timer
+    );
+    
+    // Everyone sees the system message announcing the change
+    const socketInstance = req.app.get('socketInstance');
+    if (socketInstance) {
+      try {
+        await socketInstance.deliverMessage(req.user.id, message, conversation);
+      } catch (socketError) {
+        console.error("Socket error when announcing timer change:", socketError);
+        // Continue even if socket notification fails
+      }
+    }
+    
+    res.json({
+      success: true,
+      messageTimer: conversation.messageTimer,
+      message
+    });
+  } catch (err) {
+    console.error("Error setting disappearing messages:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+// @route   PUT /api/messages/conversations/:id/archive
+// @desc    Toggle archived status for a conversation
+// @access  Private
+router.put("/conversations/:id/archive", auth, async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.id);
     
@@ -619,17 +905,20 @@ router.delete("/conversations/:id", auth, async (req, res) => {
     }
     
     // Verify user is a participant
-    if (!conversation.participants.some(p => p.toString() === req.user.id)) {
+    if (!conversation.isParticipant(req.user.id)) {
       return res.status(403).json({ message: "Not authorized" });
     }
     
-    // In a real messaging system, we might soft-delete or archive
-    // For this implementation, we'll just remove the conversation
-    await Conversation.findByIdAndDelete(req.params.id);
+    const isArchived = !conversation.isArchived.get(req.user.id.toString());
+    conversation.setArchived(req.user.id, isArchived);
+    await conversation.save();
     
-    res.json({ success: true });
+    res.json({
+      success: true,
+      isArchived
+    });
   } catch (err) {
-    console.error("Error deleting conversation:", err.message);
+    console.error("Error toggling archive status:", err.message);
     if (err.kind === "ObjectId") {
       return res.status(404).json({ message: "Conversation not found" });
     }
@@ -637,4 +926,21 @@ router.delete("/conversations/:id", auth, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// @route   DELETE /api/messages/conversations/:id
+// @desc    Clear a conversation's history for the current user only
+// @access  Private
+router.delete("/conversations/:id", auth, async (req, res) => {
+  try {
+    await messageService.clearConversation(req.params.id, req.user.id);
+    
+    // Remove it from the user's other devices
+    notifyRemoved(req, [req.user.id], req.params.id);
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting conversation:", err.message);
+    sendMessagingError(res, err);
+  }
+});
+
+module.exports = router;
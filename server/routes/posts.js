@@ -3,41 +3,113 @@ const router = express.Router();
 const mongoose = require("mongoose");
 const Post = require("../models/Post");
 const User = require("../models/User");
+const Topic = require("../models/Topic");
+const PostRevision = require("../models/PostRevision");
 const auth = require("../middleware/auth");
+const optionalAuth = require("../middleware/optionalAuth");
 const notificationService = require("../services/notificationService");
+const threadService = require("../services/threadService");
+const blockService = require("../services/blockService");
+const privacyService = require("../services/privacyService");
+const muteService = require("../services/muteService");
+const { paginate } = require("../utils/pagination");
+const { ALLOWED_REACTIONS, isAllowedReaction, toggleReaction, listReactions } = require("../utils/reactions");
+
+// How long after posting an author may still edit a post
+const POST_EDIT_WINDOW_MINUTES = parseInt(process.env.POST_EDIT_WINDOW_MINUTES) || 60;
+
+/**
+ * Get a post's author ID, whether or not the author is populated
+ * @param {Object} post - Post document
+ * @returns {string|null} - Author ID, or null if the author no longer exists
+ */
+const getAuthorId = (post) => {
+  if (!post.userId) return null;
+  return (post.userId._id || post.userId).toString();
+};
+
+/**
+ * Check whether a post's author is hidden from the requester: blocked in either
+ * direction, or a private account the requester doesn't follow
+ * @param {Object} req - Express request (req.user may be unset)
+ * @param {Object} post - Post document
+ * @returns {Promise<boolean>}
+ */
+const isHiddenAuthor = async (req, post) => {
+  return !(await privacyService.canViewAuthor(req.user && req.user.id, getAuthorId(post)));
+};
 
 // @route   GET /api/posts
 // @desc    Get all posts (parent posts only) with pagination
 // @access  Public
-router.get("/", async (req, res) => {
+router.get("/", optionalAuth, async (req, res) => {
   try {
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    // Get total count for pagination metadata
-    const total = await Post.countDocuments({ parentPostId: null });
-    
-    const posts = await Post.find({ parentPostId: null })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate("userId", ["username", "avatar", "isVerified", "displayName"]);
+    // Hide posts from blocked users, private accounts the viewer doesn't follow,
+    // and posts the viewer muted
+    const viewerId = req.user && req.user.id;
+    const privacyFilter = await privacyService.getPostFilter(viewerId);
+    const muteFilter = await muteService.getPostFilter(viewerId);
+
+    // Cursor (before/after) or legacy page number pagination
+    const { items: posts, pagination } = await paginate(
+      Post,
+      { parentPostId: null, ...privacyFilter, ...muteFilter },
+      req.query,
+      { populate: { path: "userId", select: "username avatar isVerified displayName" } }
+    );
 
     // Send response with pagination metadata
-    res.json({
-      posts,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit),
-        hasMore: skip + posts.length < total
-      }
+    res.json({ posts, pagination });
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === "InvalidCursorError") {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   GET /api/posts/feed
+// @desc    Get the personalized home timeline for the authenticated user
+// @access  Private
+router.get("/feed", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("following");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Authors whose posts belong in the timeline: followed users and the user themselves
+    const followingIds = user.following.map(follow => follow.user);
+
+    // Topics the user is subscribed to
+    const topics = await Topic.find({ subscribers: req.user.id }).select("_id");
+    const topicIds = topics.map(topic => topic._id);
+
+    // Own posts and ReThreads are covered by including the user as an author
+    const filter = {
+      parentPostId: null,
+      $or: [
+        { userId: { $in: [...followingIds, req.user.id] } },
+        { topicId: { $in: topicIds } }
+      ],
+      ...(await privacyService.getPostFilter(req.user.id)),
+      ...(await muteService.getPostFilter(req.user.id))
+    };
+
+    // Cursor (before/after) or legacy page number pagination
+    const { items: posts, pagination } = await paginate(Post, filter, req.query, {
+      populate: { path: "userId", select: "username avatar isVerified displayName" }
     });
+
+    // Send response with pagination metadata
+    res.json({ posts, pagination });
   } catch (err) {
     console.error(err.message);
+    if (err.name === "InvalidCursorError") {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
     res.status(500).send("Server error");
   }
 });
@@ -45,7 +117,7 @@ router.get("/", async (req, res) => {
 // @route   GET /api/posts/hashtag/:hashtag
 // @desc    Get posts by hashtag with pagination
 // @access  Public
-router.get("/hashtag/:hashtag", async (req, res) => {
+router.get("/hashtag/:hashtag", optionalAuth, async (req, res) => {
   try {
     const { hashtag } = req.params;
     
@@ -53,40 +125,26 @@ router.get("/hashtag/:hashtag", async (req, res) => {
       return res.status(400).json({ message: "Hashtag is required" });
     }
     
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    // Get total count for pagination metadata
-    const total = await Post.countDocuments({ 
-      hashtags: { $in: [hashtag.toLowerCase()] },
-      parentPostId: null
-    });
-    
     // Find all posts with the hashtag (case insensitive)
-    const posts = await Post.find({ 
+    const filter = {
       hashtags: { $in: [hashtag.toLowerCase()] },
-      parentPostId: null // Only get parent posts, not replies
-    })
-    .populate("userId", ["username", "avatar", "isVerified", "displayName"])
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+      parentPostId: null, // Only get parent posts, not replies
+      ...(await privacyService.getPostFilter(req.user && req.user.id)),
+      ...(await muteService.getPostFilter(req.user && req.user.id))
+    };
     
-    // Send response with pagination metadata
-    res.json({
-      posts,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit),
-        hasMore: skip + posts.length < total
-      }
+    // Cursor (before/after) or legacy page number pagination
+    const { items: posts, pagination } = await paginate(Post, filter, req.query, {
+      populate: { path: "userId", select: "username avatar isVerified displayName" }
     });
+    
+    // Send response with pagination metadata
+    res.json({ posts, pagination });
   } catch (err) {
     console.error(err.message);
+    if (err.name === "InvalidCursorError") {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
     res.status(500).send("Server error");
   }
 });
@@ -94,12 +152,15 @@ router.get("/hashtag/:hashtag", async (req, res) => {
 // @route   GET /api/posts/pinned
 // @desc    Get all pinned posts
 // @access  Public
-router.get("/pinned", async (req, res) => {
+router.get("/pinned", optionalAuth, async (req, res) => {
   try {
+    const privacyFilter = await privacyService.getPostFilter(req.user && req.user.id);
+
     // Get pinned posts, only parent posts (not replies)
     const posts = await Post.find({ 
       isPinned: true, 
-      parentPostId: null 
+      parentPostId: null,
+      ...privacyFilter
     })
       .populate("userId", ["username", "avatar", "isVerified", "displayName"])
       .sort({ createdAt: -1 });
@@ -150,7 +211,10 @@ router.get("/bookmarks", auth, async (req, res) => {
     // Apply pagination (manually since we're using an array)
     const paginatedPostIds = bookmarkedPostIds.slice(skip, skip + limit);
     
-    let query = { _id: { $in: paginatedPostIds } };
+    let query = {
+      _id: { $in: paginatedPostIds },
+      ...(await privacyService.getPostFilter(req.user.id))
+    };
     
     // If category filter is applied and it's not 'all'
     if (category && category !== 'all') {
@@ -187,17 +251,25 @@ router.get("/bookmarks", auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/reactions/emojis
+// @desc    Get the emoji that posts and messages can be reacted with
+// @access  Public
+router.get("/reactions/emojis", (req, res) => {
+  res.json({ emojis: ALLOWED_REACTIONS });
+});
+
 // @route   GET /api/posts/:id
 // @desc    Get post by ID
 // @access  Public
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id).populate("userId", [
       "username",
       "avatar",
     ]);
 
-    if (!post) {
+    // Posts from users blocked in either direction look deleted
+    if (!post || await isHiddenAuthor(req, post)) {
       return res.status(404).json({ message: "Post not found" });
     }
 
@@ -211,16 +283,39 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/:id/revisions
+// @desc    Get the edit history of a post (newest first)
+// @access  Public
+router.get("/:id/revisions", optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select("_id userId editedAt");
+
+    if (!post || await isHiddenAuthor(req, post)) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const revisions = await PostRevision.find({ postId: post._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      postId: post._id,
+      editedAt: post.editedAt,
+      revisions
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
 // @route   GET /api/posts/thread/:id
 // @desc    Get a complete thread with pagination for replies
 // @access  Public
-router.get("/thread/:id", async (req, res) => {
+router.get("/thread/:id", optionalAuth, async (req, res) => {
   try {
-    // Pagination parameters for replies
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
     // Find the parent post
     let post = await Post.findById(req.params.id).populate("userId", [
       "username",
@@ -233,44 +328,95 @@ router.get("/thread/:id", async (req, res) => {
       return res.status(404).json({ message: "Thread not found" });
     }
 
-    // If this is a reply post, find its parent
+    // If this is a reply post, find the top-level post of its thread
     if (post.parentPostId) {
-      post = await Post.findById(post.parentPostId).populate("userId", [
-        "username",
-        "avatar",
-        "isVerified",
-        "displayName"
-      ]);
+      post = await threadService.findThreadRoot(post);
 
       if (!post) {
         return res.status(404).json({ message: "Thread not found" });
       }
     }
 
-    // Get total count of replies
-    const total = await Post.countDocuments({ parentPostId: post._id });
+    // Threads started by blocked users or private accounts the viewer doesn't follow look deleted
+    if (await isHiddenAuthor(req, post)) {
+      return res.status(404).json({ message: "Thread not found" });
+    }
 
-    // Get all replies in this thread with pagination
-    const replies = await Post.find({ parentPostId: post._id })
-      .sort({ createdAt: 1 })
-      .skip(skip)
-      .limit(limit)
-      .populate("userId", ["username", "avatar", "isVerified", "displayName"]);
+    // Get replies oldest first; continue with `after` set to nextCursor
+    const privacyFilter = await privacyService.getPostFilter(req.user && req.user.id);
+    const { items: replies, pagination } = await paginate(
+      Post,
+      { ...privacyFilter, parentPostId: post._id },
+      req.query,
+      {
+        order: 1,
+        populate: { path: "userId", select: "username avatar isVerified displayName" }
+      }
+    );
 
     // Combine the parent post and replies
     const thread = {
       parent: post,
       replies: replies,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit),
-        hasMore: skip + replies.length < total
-      }
+      pagination
     };
 
     res.json(thread);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === "InvalidCursorError") {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Thread not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   GET /api/posts/thread/:id/tree
+// @desc    Get a thread as a reply tree, nested or flattened with depth
+// @access  Public
+router.get("/thread/:id/tree", optionalAuth, async (req, res) => {
+  try {
+    // Replies loaded per branch and number of reply levels to load
+    const limit = parseInt(req.query.limit) || 10;
+    const maxDepth = Math.min(parseInt(req.query.maxDepth) || 3, 10);
+    const format = req.query.format === "flat" ? "flat" : "nested";
+
+    const post = await Post.findById(req.params.id)
+      .populate("userId", ["username", "avatar", "isVerified", "displayName"]);
+
+    if (!post) {
+      return res.status(404).json({ message: "Thread not found" });
+    }
+
+    const root = await threadService.findThreadRoot(post);
+
+    if (!root || await isHiddenAuthor(req, root)) {
+      return res.status(404).json({ message: "Thread not found" });
+    }
+
+    // Replies from hidden authors are left out along with the branches below them
+    const tree = await threadService.buildReplyTree(root, {
+      limit,
+      maxDepth,
+      replyFilter: await privacyService.getPostFilter(req.user && req.user.id)
+    });
+
+    if (format === "flat") {
+      return res.json({
+        rootPostId: root._id,
+        format,
+        posts: threadService.flattenReplyTree(tree)
+      });
+    }
+
+    res.json({
+      rootPostId: root._id,
+      format,
+      tree
+    });
   } catch (err) {
     console.error(err.message);
     if (err.kind === "ObjectId") {
@@ -280,6 +426,50 @@ router.get("/thread/:id", async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/:id/replies
+// @desc    Get direct replies to a post (load more replies under a comment)
+// @access  Public
+router.get("/:id/replies", optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select("_id userId depth");
+
+    if (!post || await isHiddenAuthor(req, post)) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // Oldest first; continue with `after` set to nextCursor
+    const privacyFilter = await privacyService.getPostFilter(req.user && req.user.id);
+    const { items, pagination } = await paginate(
+      Post,
+      { ...privacyFilter, parentPostId: post._id },
+      req.query,
+      {
+        order: 1,
+        populate: { path: "userId", select: "username avatar isVerified displayName" }
+      }
+    );
+
+    // Include how many replies each reply has so clients can offer to expand it
+    const replyCounts = await threadService.getReplyCounts(items.map(reply => reply._id), privacyFilter);
+    const replies = items.map(reply => ({
+      ...reply.toObject(),
+      depth: (post.depth || 0) + 1,
+      replyCount: replyCounts.get(reply._id.toString()) || 0
+    }));
+
+    res.json({ parentPostId: post._id, replies, pagination });
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === "InvalidCursorError") {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
 // @route   POST /api/posts
 // @desc    Create a post
 // @access  Private
@@ -304,9 +494,11 @@ router.post("/", auth, async (req, res) => {
     const finalContent = (!contentToUse && isReThreadPost) ? "ReThreaded" : contentToUse;
     
     // Create post with proper field names matching the model
+    const author = await User.findById(req.user.id).select("isPrivate");
     const postData = {
       userId: req.user.id,
-      content: finalContent
+      content: finalContent,
+      authorIsPrivate: Boolean(author && author.isPrivate)
     };
 
     // Only add fields if they exist
@@ -315,7 +507,19 @@ router.post("/", auth, async (req, res) => {
       if (!mongoose.Types.ObjectId.isValid(parentPostId)) {
         return res.status(400).json({ message: "Invalid parent post ID format" });
       }
-        postData.parentPostId = parentPostId;
+
+      const parentPost = await Post.findById(parentPostId);
+      if (!parentPost) {
+        return res.status(404).json({ message: "Parent post not found" });
+      }
+
+      // Covers blocks and private accounts the user doesn't follow
+      if (!(await privacyService.canViewAuthor(req.user.id, parentPost.userId))) {
+        return res.status(403).json({ message: "You can't reply to this post" });
+      }
+
+      // Place the reply in the thread's tree under its direct parent
+      Object.assign(postData, await parentPost.getReplyTreeFields());
     }
     
     if (topicId) {
@@ -338,6 +542,16 @@ router.post("/", auth, async (req, res) => {
       if (!originalPost) {
         return res.status(404).json({ message: "Original post for ReThread not found" });
       }
+
+      if (await blockService.isBlockedBetween(req.user.id, originalPost.userId)) {
+        return res.status(403).json({ message: "You can't ReThread this post" });
+      }
+
+      // ReThreads copy the content, so posts from private accounts stay with their followers
+      const originalPostAuthor = await User.findById(originalPost.userId).select("isPrivate");
+      if (originalPostAuthor && originalPostAuthor.isPrivate && originalPost.userId.toString() !== req.user.id) {
+        return res.status(403).json({ message: "Posts from private accounts can't be ReThreaded" });
+      }
       
       // Set ReThread fields
       postData.isReThread = true;
@@ -526,11 +740,16 @@ router.delete("/:id", auth, async (req, res) => {
       return res.status(401).json({ message: "User not authorized" });
     }
 
-    // If this is a parent post, delete all replies
-    if (!post.parentPostId) {
-      await Post.deleteMany({ parentPostId: post._id });
-    } else {
-      // If this is a reply, update the parent post
+    // Delete all replies below this post, at any depth
+    const replyFilter = post.parentPostId
+      ? { path: post._id }
+      : { $or: [{ parentPostId: post._id }, { rootPostId: post._id }] };
+    const replyIds = await Post.find(replyFilter).distinct("_id");
+
+    await Post.deleteMany({ _id: { $in: replyIds } });
+
+    // If this is a reply, update the parent post
+    if (post.parentPostId) {
       const parentPost = await Post.findById(post.parentPostId);
       if (parentPost) {
         parentPost.replies = parentPost.replies.filter(
@@ -542,6 +761,7 @@ router.delete("/:id", auth, async (req, res) => {
 
     // Fixed the deprecated remove() method
     await Post.deleteOne({ _id: post._id });
+    await PostRevision.deleteMany({ postId: { $in: [post._id, ...replyIds] } });
 
     res.json({ message: "Post removed" });
   } catch (err) {
@@ -553,6 +773,104 @@ router.delete("/:id", auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/posts/:id
+// @desc    Edit a post's content and media captions
+// @access  Private
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // Check user
+    if (post.userId.toString() !== req.user.id) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    // Check the edit window
+    const editDeadline = new Date(post.createdAt);
+    editDeadline.setMinutes(editDeadline.getMinutes() + POST_EDIT_WINDOW_MINUTES);
+    if (new Date() > editDeadline) {
+      return res.status(403).json({ message: "Edit window has expired" });
+    }
+
+    const { content, media } = req.body;
+
+    if (content !== undefined && typeof content !== "string") {
+      return res.status(400).json({ message: "Content must be a string" });
+    }
+
+    // Only captions can be edited; media items are matched by their ID
+    if (media !== undefined) {
+      if (!Array.isArray(media)) {
+        return res.status(400).json({ message: "Media must be an array" });
+      }
+
+      const unknownMedia = media.some(
+        item => !item || !item._id || !post.media.some(m => m._id.toString() === item._id.toString())
+      );
+      if (unknownMedia) {
+        return res.status(400).json({ message: "Media not found on this post" });
+      }
+    }
+
+    const newContent = content !== undefined ? content : post.content;
+    const captionChanges = (media || []).filter(item => {
+      const existing = post.media.find(m => m._id.toString() === item._id.toString());
+      return item.caption !== undefined && existing.caption !== item.caption;
+    });
+
+    if (newContent === post.content && captionChanges.length === 0) {
+      return res.status(400).json({ message: "No changes to save" });
+    }
+
+    if (!newContent && post.media.length === 0) {
+      return res.status(400).json({ message: "Post must contain content or media" });
+    }
+
+    // Snapshot the current version before applying the edit
+    const previousContent = post.content;
+    const revision = new PostRevision({
+      postId: post._id,
+      content: post.content,
+      media: post.media.map(m => ({ type: m.type, url: m.url, caption: m.caption }))
+    });
+
+    post.content = newContent;
+    captionChanges.forEach(item => {
+      const existing = post.media.find(m => m._id.toString() === item._id.toString());
+      existing.caption = item.caption;
+    });
+    post.editedAt = new Date();
+
+    // Hashtags are re-derived by the pre-save hook
+    await post.save();
+    await revision.save();
+
+    // Only notify users who were not already mentioned
+    await notificationService.processMentions(post.content, post._id, req.user.id, previousContent);
+
+    const populatedPost = await Post.findById(post._id)
+      .populate("userId", ["username", "displayName", "avatar", "isVerified"]);
+
+    res.json(populatedPost);
+  } catch (err) {
+    console.error("Error editing post:", err.message);
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ 
+        message: "Validation error", 
+        details: Object.values(err.errors).map(e => e.message)
+      });
+    }
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
 // @route   PUT /api/posts/:id/like
 // @desc    Like a post
 // @access  Private
@@ -564,6 +882,10 @@ router.put("/:id/like", auth, async (req, res) => {
       return res.status(404).json({ message: "Post not found" });
     }
 
+    if (await blockService.isBlockedBetween(req.user.id, post.userId)) {
+      return res.status(403).json({ message: "You can't interact with this post" });
+    }
+
     let isLiked = false;
     
     // Check if the post has already been liked by this user
@@ -604,6 +926,81 @@ router.put("/:id/like", auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/posts/:id/reactions
+// @desc    Add or remove an emoji reaction on a post
+// @access  Private
+router.put("/:id/reactions", auth, async (req, res) => {
+  try {
+    const { emoji } = req.body;
+
+    if (!isAllowedReaction(emoji)) {
+      return res.status(400).json({ message: "Unsupported reaction", emojis: ALLOWED_REACTIONS });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    if (await blockService.isBlockedBetween(req.user.id, post.userId)) {
+      return res.status(403).json({ message: "You can't interact with this post" });
+    }
+
+    const reacted = toggleReaction(post, req.user.id, emoji);
+    await post.save();
+
+    // Self-reactions are skipped by the notification service
+    if (reacted) {
+      await notificationService.createReactionNotification(
+        req.user.id,
+        post._id,
+        post.userId,
+        emoji
+      );
+    }
+
+    res.json({
+      success: true,
+      emoji,
+      reacted,
+      reactionCounts: post.reactionCounts
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   GET /api/posts/:id/reactions
+// @desc    Get reaction counts and who reacted to a post (optionally one ?emoji=)
+// @access  Public
+router.get("/:id/reactions", optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .select("userId reactions reactionCounts")
+      .populate("reactions.user", "username displayName avatar isVerified");
+
+    if (!post || await isHiddenAuthor(req, post)) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    res.json({
+      reactionCounts: post.reactionCounts,
+      reactions: listReactions(post, req.query.emoji)
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
 // @route   PUT /api/posts/:id/bookmark
 // @desc    Bookmark or unbookmark a post
 // @access  Private
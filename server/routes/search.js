@@ -0,0 +1,57 @@
+const express = require("express");
+const router = express.Router();
+const optionalAuth = require("../middleware/optionalAuth");
+const searchService = require("../services/searchService");
+const blockService = require("../services/blockService");
+const privacyService = require("../services/privacyService");
+
+// @route   GET /api/search
+// @desc    Search posts, users, and topics with relevance ranking and filters
+// @access  Public (blocked users are excluded in both directions when authenticated)
+router.get("/", optionalAuth, async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim();
+
+    if (!q) {
+      return res.status(400).json({ message: "Search query is required" });
+    }
+
+    // Pagination parameters (applied per result type)
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    // Hide content from users the searcher has blocked or been blocked by, and
+    // posts from private accounts the searcher doesn't follow
+    const viewerId = req.user && req.user.id;
+    const [excludeUserIds, postCondition] = await Promise.all([
+      blockService.getBlockedUserIds(viewerId),
+      privacyService.getPrivatePostCondition(viewerId)
+    ]);
+
+    const { parsed, results, counts } = await searchService.search(q, {
+      type: req.query.type,
+      excludeUserIds,
+      postCondition,
+      limit,
+      skip
+    });
+
+    res.json({
+      query: q,
+      filters: parsed,
+      results,
+      counts,
+      pagination: {
+        page,
+        limit,
+        hasMore: Object.values(counts).some(count => count === limit)
+      }
+    });
+  } catch (err) {
+    console.error("Error searching:", err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+module.exports = router;
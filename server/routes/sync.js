@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const syncService = require("../services/syncService");
+
+// @route   GET /api/sync
+// @desc    Get the events missed since a sync cursor (same delta the socket replays on connect)
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const delta = await syncService.getDelta(req.user.id, req.query.cursor);
+    res.json(delta);
+  } catch (err) {
+    console.error("Error syncing missed events:", err.message);
+    if (err.name === "InvalidCursorError") {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+    res.status(500).send("Server Error");
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,91 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Post = require("../models/Post");
 const auth = require("../middleware/auth");
+const optionalAuth = require("../middleware/optionalAuth");
 const notificationService = require("../services/notificationService");
+const blockService = require("../services/blockService");
+const muteService = require("../services/muteService");
+const presenceService = require("../services/presenceService");
+const privacyService = require("../services/privacyService");
+const { paginate } = require("../utils/pagination");
+const { escapeRegex } = require("../utils/regex");
+
+// Most users one presence lookup may ask about
+const MAX_PRESENCE_LOOKUP = 100;
+
+// Fields anyone may see on a profile; account and security fields stay out
+const PUBLIC_PROFILE_FIELDS = [
+  "username", "displayName", "isVerified", "bio", "location", "country", "gender",
+  "website", "birthday", "avatar", "coverPhoto", "coverColor", "occupation",
+  "education", "interests", "following", "followers", "isPrivate", "createdAt"
+].join(" ");
+
+/**
+ * Add a follow relationship in both directions (doesn't save either user)
+ * @param {Object} user - User being followed
+ * @param {Object} follower - User who follows
+ */
+const addFollower = (user, follower) => {
+  if (!user.followers.some(follow => follow.user.toString() === follower.id)) {
+    user.followers.unshift({ user: follower._id });
+  }
+  if (!follower.following.some(follow => follow.user.toString() === user.id)) {
+    follower.following.unshift({ user: user._id });
+  }
+};
+
+/**
+ * Parse an optional mute expiry from a request body
+ * @param {*} value - Date string, timestamp, or empty for a permanent mute
+ * @returns {Date|null|undefined} - Expiry date, null if permanent, undefined if invalid
+ */
+const parseMuteExpiry = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const expiresAt = new Date(value);
+  if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) return undefined;
+
+  return expiresAt;
+};
+
+/**
+ * Approve every pending follow request of a user, e.g. when the account goes public
+ * @param {string} userId - User ID
+ */
+const approveAllFollowRequests = async (userId) => {
+  const user = await User.findById(userId).select("+followRequests");
+  if (!user || user.followRequests.length === 0) return;
+
+  const requesterIds = user.followRequests.map(request => request.user);
+  const requesters = await User.find({ _id: { $in: requesterIds } });
+
+  for (const requester of requesters) {
+    addFollower(user, requester);
+    await requester.save();
+    await notificationService.removeFollowRequestNotification(requester._id, user._id);
+  }
+
+  user.followRequests = [];
+  await user.save();
+};
 
 // @route   GET /api/user/search
 // @desc    Search users by username
-// @access  Public
-router.get("/search", async (req, res) => {
+// @access  Public (blocked users are excluded in both directions when authenticated)
+router.get("/search", optionalAuth, async (req, res) => {
   try {
     const { username } = req.query;
     
     console.log(`Server received search request for username: ${username}`);
     
+    const blockedIds = await blockService.getBlockedUserIds(req.user && req.user.id);
+    
     // If no username provided, return a few random users
     if (!username) {
-      const randomUsers = await User.find({})
+      const randomUsers = await User.find({ _id: { $nin: blockedIds } })
         .select("username displayName avatar")
         .limit(5);
       
@@ -26,7 +95,8 @@ router.get("/search", async (req, res) => {
     
     // Find users whose username matches the search term (case insensitive)
     const users = await User.find({
-      username: { $regex: username, $options: "i" }
+      username: { $regex: escapeRegex(username), $options: "i" },
+      _id: { $nin: blockedIds }
     })
       .select("username displayName avatar")
       .limit(10);
@@ -39,13 +109,266 @@ router.get("/search", async (req, res) => {
   }
 });
 
+// @route   GET /api/user/presence
+// @desc    Get online status and last seen time for several users (?ids=id1,id2)
+// @access  Private
+router.get("/presence", auth, async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || "").split(",").map(id => id.trim()))]
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    if (ids.length === 0) {
+      return res.status(400).json({ message: "At least one valid user ID is required" });
+    }
+    if (ids.length > MAX_PRESENCE_LOOKUP) {
+      return res.status(400).json({ message: `At most ${MAX_PRESENCE_LOOKUP} users can be looked up at once` });
+    }
+
+    const socketInstance = req.app.get("socketInstance");
+    const onlineStatus = socketInstance ? await socketInstance.getOnlineStatus(ids) : {};
+
+    const presence = await presenceService.getVisiblePresence(req.user.id, ids, onlineStatus);
+    res.json(presence);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   GET /api/user/follow-requests
+// @desc    Get pending requests to follow the current user
+// @access  Private
+router.get("/follow-requests", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select("+followRequests")
+      .populate("followRequests.user", "username displayName avatar bio isVerified");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json(user.followRequests);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   PUT /api/user/follow-requests/:id/approve
+// @desc    Approve a pending follow request
+// @access  Private
+router.put("/follow-requests/:id/approve", auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.id).select("+followRequests");
+    if (!currentUser) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const hasRequest = currentUser.followRequests.some(
+      request => request.user.toString() === req.params.id
+    );
+    if (!hasRequest) {
+      return res.status(404).json({ message: "Follow request not found" });
+    }
+
+    currentUser.followRequests = currentUser.followRequests.filter(
+      request => request.user.toString() !== req.params.id
+    );
+
+    // The requester may have deleted their account since asking
+    const requester = await User.findById(req.params.id);
+    if (requester) {
+      addFollower(currentUser, requester);
+      await requester.save();
+    }
+    await currentUser.save();
+
+    await notificationService.removeFollowRequestNotification(req.params.id, req.user.id);
+
+    res.json({
+      message: "Follow request approved",
+      followers: currentUser.followers
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Follow request not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   PUT /api/user/follow-requests/:id/reject
+// @desc    Reject a pending follow request
+// @access  Private
+router.put("/follow-requests/:id/reject", auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.id).select("+followRequests");
+    if (!currentUser) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const hasRequest = currentUser.followRequests.some(
+      request => request.user.toString() === req.params.id
+    );
+    if (!hasRequest) {
+      return res.status(404).json({ message: "Follow request not found" });
+    }
+
+    currentUser.followRequests = currentUser.followRequests.filter(
+      request => request.user.toString() !== req.params.id
+    );
+    await currentUser.save();
+
+    await notificationService.removeFollowRequestNotification(req.params.id, req.user.id);
+
+    res.json({ message: "Follow request rejected" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   GET /api/user/mutes
+// @desc    Get the current user's active muted users and muted words
+// @access  Private
+router.get("/mutes", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select("+mutedUsers +mutedWords")
+      .populate("mutedUsers.user", "username displayName avatar isVerified");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const now = new Date();
+    res.json({
+      users: user.mutedUsers.filter(mute => mute.user && muteService.isActive(mute, now)),
+      words: user.mutedWords.filter(mute => muteService.isActive(mute, now))
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   PUT /api/user/mute/:id
+// @desc    Mute or unmute a user (optional expiresAt); muted users aren't told
+// @access  Private
+router.put("/mute/:id", auth, async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: "Cannot mute yourself" });
+    }
+
+    const expiresAt = parseMuteExpiry(req.body.expiresAt);
+    if (expiresAt === undefined) {
+      return res.status(400).json({ message: "expiresAt must be a future date" });
+    }
+
+    const userToMute = await User.findById(req.params.id).select("_id");
+    if (!userToMute) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const currentUser = await User.findById(req.user.id).select("+mutedUsers");
+
+    // Expired mutes are cleaned up whenever the list changes
+    const now = new Date();
+    const activeMute = currentUser.mutedUsers.find(
+      mute => mute.user.toString() === req.params.id && muteService.isActive(mute, now)
+    );
+    currentUser.mutedUsers = currentUser.mutedUsers.filter(
+      mute => mute.user.toString() !== req.params.id && muteService.isActive(mute, now)
+    );
+
+    if (activeMute) {
+      await currentUser.save();
+      return res.json({ message: "User unmuted", muted: false });
+    }
+
+    currentUser.mutedUsers.unshift({ user: req.params.id, expiresAt });
+    await currentUser.save();
+
+    res.json({ message: "User muted", muted: true, expiresAt });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST /api/user/muted-words
+// @desc    Mute a word, phrase or #hashtag (optional expiresAt)
+// @access  Private
+router.post("/muted-words", auth, async (req, res) => {
+  try {
+    const keyword = typeof req.body.keyword === "string"
+      ? req.body.keyword.trim().toLowerCase()
+      : "";
+
+    if (!keyword || keyword === "#") {
+      return res.status(400).json({ message: "Keyword is required" });
+    }
+
+    const expiresAt = parseMuteExpiry(req.body.expiresAt);
+    if (expiresAt === undefined) {
+      return res.status(400).json({ message: "expiresAt must be a future date" });
+    }
+
+    const user = await User.findById(req.user.id).select("+mutedWords");
+
+    // Muting a word again replaces its expiry
+    const now = new Date();
+    user.mutedWords = user.mutedWords.filter(
+      mute => mute.keyword !== keyword && muteService.isActive(mute, now)
+    );
+    user.mutedWords.unshift({ keyword, expiresAt });
+    await user.save();
+
+    res.json(user.mutedWords);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: "Keyword must be 100 characters or less" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   DELETE /api/user/muted-words/:id
+// @desc    Unmute a word
+// @access  Private
+router.delete("/muted-words/:id", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+mutedWords");
+
+    const exists = user.mutedWords.some(mute => mute._id.toString() === req.params.id);
+    if (!exists) {
+      return res.status(404).json({ message: "Muted word not found" });
+    }
+
+    user.mutedWords = user.mutedWords.filter(mute => mute._id.toString() !== req.params.id);
+    await user.save();
+
+    res.json(user.mutedWords);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
 // @route   GET /api/user/:id
 // @desc    Get user by ID
 // @access  Public
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select("-password")
+      .select(PUBLIC_PROFILE_FIELDS)
       .populate("followers", "username displayName avatar isVerified")
       .populate("following", "username displayName avatar isVerified");
 
@@ -53,7 +376,21 @@ router.get("/:id", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    res.json(user);
+    const viewerId = req.user ? req.user.id : null;
+    const profile = user.toObject();
+    profile.followersCount = user.followers.length;
+    profile.followingCount = user.following.length;
+
+    // Private profiles only show follow lists to approved followers
+    if (!user.canBeViewedBy(viewerId)) {
+      profile.followers = [];
+      profile.following = [];
+      profile.followRequested = viewerId
+        ? Boolean(await User.exists({ _id: user._id, "followRequests.user": viewerId }))
+        : false;
+    }
+
+    res.json(profile);
   } catch (err) {
     console.error(err.message);
     if (err.kind === "ObjectId") {
@@ -65,50 +402,52 @@ router.get("/:id", async (req, res) => {
 
 // @route   GET /api/user/:id/posts
 // @desc    Get posts by user ID with pagination
-// @access  Public
-router.get("/:id/posts", async (req, res) => {
+// @access  Public (approved followers only for private accounts; hidden when blocked)
+router.get("/:id/posts", optionalAuth, async (req, res) => {
   try {
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    // Get total count for pagination metadata
-    const total = await Post.countDocuments({
-      userId: req.params.id,
-      parentPostId: null,
-    });
-    
-    const posts = await Post.find({
-      userId: req.params.id,
-      parentPostId: null,
-    })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate("userId", ["username", "displayName", "avatar", "isVerified"]);
+    const user = await User.findById(req.params.id).select("isPrivate followers");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Blocks hide the account in both directions
+    const viewerId = req.user ? req.user.id : null;
+    if (await blockService.isBlockedBetween(viewerId, user._id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.canBeViewedBy(viewerId)) {
+      return res.status(403).json({ message: "This account is private" });
+    }
+
+    // Cursor (before/after) or legacy page number pagination
+    const { items: posts, pagination } = await paginate(
+      Post,
+      {
+        userId: req.params.id,
+        parentPostId: null,
+      },
+      req.query,
+      { populate: { path: "userId", select: "username displayName avatar isVerified" } }
+    );
 
     // Send response with pagination metadata
-    res.json({
-      posts,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit),
-        hasMore: skip + posts.length < total
-      }
-    });
+    res.json({ posts, pagination });
   } catch (err) {
     console.error(err.message);
+    if (err.name === "InvalidCursorError") {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" });
+    }
     res.status(500).send("Server error");
   }
 });
 
 // @route   GET /api/user/:id/followers
 // @desc    Get user's followers
-// @access  Public
-router.get("/:id/followers", async (req, res) => {
+// @access  Public (approved followers only for private accounts; hidden when blocked)
+router.get("/:id/followers", optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .populate("followers", "username displayName avatar bio isVerified");
@@ -117,6 +456,16 @@ router.get("/:id/followers", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Blocks hide the account in both directions
+    const viewerId = req.user ? req.user.id : null;
+    if (await blockService.isBlockedBetween(viewerId, user._id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.canBeViewedBy(viewerId)) {
+      return res.status(403).json({ message: "This account is private" });
+    }
+
     res.json(user.followers);
   } catch (err) {
     console.error(err.message);
@@ -129,8 +478,8 @@ router.get("/:id/followers", async (req, res) => {
 
 // @route   GET /api/user/:id/following
 // @desc    Get users that the specified user is following
-// @access  Public
-router.get("/:id/following", async (req, res) => {
+// @access  Public (approved followers only for private accounts; hidden when blocked)
+router.get("/:id/following", optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .populate("following", "username displayName avatar bio isVerified");
@@ -139,6 +488,16 @@ router.get("/:id/following", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Blocks hide the account in both directions
+    const viewerId = req.user ? req.user.id : null;
+    if (await blockService.isBlockedBetween(viewerId, user._id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.canBeViewedBy(viewerId)) {
+      return res.status(403).json({ message: "This account is private" });
+    }
+
     res.json(user.following);
   } catch (err) {
     console.error(err.message);
@@ -159,7 +518,7 @@ router.put("/follow/:id", auth, async (req, res) => {
       return res.status(400).json({ message: "Cannot follow yourself" });
     }
     
-    const userToFollow = await User.findById(req.params.id);
+    const userToFollow = await User.findById(req.params.id).select("+followRequests");
     const currentUser = await User.findById(req.user.id);
     
     if (!userToFollow || !currentUser) {
@@ -171,6 +530,11 @@ router.put("/follow/:id", auth, async (req, res) => {
       follow => follow.user.toString() === req.params.id
     );
     
+    // Unfollowing is always allowed, but blocks in either direction prevent new follows
+    if (!alreadyFollows && await blockService.isBlockedBetween(req.user.id, req.params.id)) {
+      return res.status(403).json({ message: "You can't follow this user" });
+    }
+    
     if (alreadyFollows) {
       // Unfollow logic - remove from both following and followers lists
       currentUser.following = currentUser.following.filter(
@@ -188,6 +552,33 @@ router.put("/follow/:id", auth, async (req, res) => {
         following: currentUser.following,
         followers: userToFollow.followers
       });
+    } else if (userToFollow.isPrivate) {
+      // Private accounts approve followers; asking again cancels the pending request
+      const alreadyRequested = userToFollow.followRequests.some(
+        request => request.user.toString() === req.user.id
+      );
+
+      if (alreadyRequested) {
+        userToFollow.followRequests = userToFollow.followRequests.filter(
+          request => request.user.toString() !== req.user.id
+        );
+        await userToFollow.save();
+
+        await notificationService.removeFollowRequestNotification(req.user.id, userToFollow._id);
+
+        return res.json({ message: "Follow request cancelled", requested: false });
+      }
+
+      userToFollow.followRequests.unshift({ user: req.user.id });
+      await userToFollow.save();
+
+      // Create follow request notification
+      await notificationService.createFollowRequestNotification(
+        req.user.id,
+        userToFollow._id
+      );
+
+      return res.json({ message: "Follow request sent", requested: true });
     } else {
       // Follow logic - add to both following and followers lists
       currentUser.following.unshift({ user: req.params.id });
@@ -221,7 +612,7 @@ router.put("/follow/:id", auth, async (req, res) => {
 // @desc    Update user profile
 // @access  Private
 router.put("/", auth, async (req, res) => {
-  const { bio, displayName, location, country, gender, website, birthday, avatar, coverPhoto, coverColor } = req.body;
+  const { bio, displayName, location, country, gender, website, birthday, avatar, coverPhoto, coverColor, isPrivate, readReceipts, showOnlineStatus } = req.body;
 
   // Build user object
   const userFields = {};
@@ -235,8 +626,16 @@ router.put("/", auth, async (req, res) => {
   if (avatar !== undefined) userFields.avatar = avatar;
   if (coverPhoto !== undefined) userFields.coverPhoto = coverPhoto;
   if (coverColor !== undefined) userFields.coverColor = coverColor;
+  if (isPrivate !== undefined) userFields.isPrivate = Boolean(isPrivate);
+  if (readReceipts !== undefined) userFields.readReceipts = Boolean(readReceipts);
+  if (showOnlineStatus !== undefined) userFields.showOnlineStatus = Boolean(showOnlineStatus);
 
   try {
+    // Going public lets everyone who was waiting follow
+    if (userFields.isPrivate === false) {
+      await approveAllFollowRequests(req.user.id);
+    }
+
     // Update user
     let user = await User.findByIdAndUpdate(
       req.user.id,
@@ -244,6 +643,22 @@ router.put("/", auth, async (req, res) => {
       { new: true }
     ).select("-password");
 
+    // Posts carry their author's privacy so listings can filter on it
+    if (userFields.isPrivate !== undefined) {
+      await privacyService.syncAuthorPrivacy(req.user.id, userFields.isPrivate);
+    }
+
+    // Show or hide the change to anyone who can currently see the user online
+    const socketInstance = req.app.get("socketInstance");
+    if (userFields.showOnlineStatus !== undefined && socketInstance) {
+      try {
+        await socketInstance.refreshPresence(req.user.id, !userFields.showOnlineStatus);
+      } catch (socketError) {
+        console.error("Socket error when refreshing presence:", socketError);
+        // Continue even if socket notification fails
+      }
+    }
+
     res.json(user);
   } catch (err) {
     console.error(err.message);
@@ -337,28 +752,13 @@ router.put("/block/:id", auth, async (req, res) => {
         blockedUsers: currentUser.blockedUsers
       });
     } else {
-      // Block user
-      currentUser.blockedUsers.unshift({ user: req.params.id });
-      
-      // If currently following, unfollow
-      if (currentUser.following.some(follow => follow.user.toString() === req.params.id)) {
-        currentUser.following = currentUser.following.filter(
-          follow => follow.user.toString() !== req.params.id
-        );
-        
-        // Also remove from their followers list
-        userToBlock.followers = userToBlock.followers.filter(
-          follow => follow.user.toString() !== req.user.id
-        );
-        await userToBlock.save();
-      }
-      
-      await currentUser.save();
+      // Block user, dropping follows and follow requests both ways
+      const blockedUsers = await blockService.blockUser(req.user.id, req.params.id);
       
       return res.json({ 
         message: "User blocked",
         blocked: true,
-        blockedUsers: currentUser.blockedUsers
+        blockedUsers
       });
     }
   } catch (err) {
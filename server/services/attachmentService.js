@@ -0,0 +1,368 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const Attachment = require("../models/Attachment");
+
+// Kept apart from the public uploads folder, which is served to anyone
+const ATTACHMENT_DIR = path.resolve(
+  process.env.ATTACHMENT_DIR || path.join(__dirname, "../private_uploads/attachments")
+);
+
+const MB = 1024 * 1024;
+
+// Accepted types and size limits for each kind of attachment. Types browsers
+// would run as a page (HTML, SVG) are left out on purpose
+const ATTACHMENT_KINDS = {
+  image: {
+    maxSize: 10 * MB,
+    mimeTypes: ["image/jpeg", "image/png", "image/gif", "image/webp", "image/heic"]
+  },
+  video: {
+    maxSize: 50 * MB,
+    mimeTypes: ["video/mp4", "video/webm", "video/quicktime"]
+  },
+  audio: {
+    maxSize: 20 * MB,
+    mimeTypes: ["audio/mpeg", "audio/mp4", "audio/aac", "audio/ogg", "audio/webm", "audio/wav", "audio/x-wav"]
+  },
+  file: {
+    maxSize: 25 * MB,
+    mimeTypes: [
+      "application/pdf",
+      "application/zip",
+      "application/rtf",
+      "text/plain",
+      "text/csv",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.ms-powerpoint",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+    ]
+  }
+};
+
+const MAX_ATTACHMENT_SIZE = Math.max(...Object.values(ATTACHMENT_KINDS).map(kind => kind.maxSize));
+
+// How long signed attachment links stay valid
+const ATTACHMENT_URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS) || 300;
+
+// Uploads that were never sent are deleted after this long
+const UNSENT_ATTACHMENT_HOURS = 24;
+
+/**
+ * Create an error for a rejected upload
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error}
+ */
+const attachmentError = (message, status) => {
+  const error = new Error(message);
+  error.name = "AttachmentError";
+  error.status = status;
+  return error;
+};
+
+/**
+ * Get the kind of attachment a MIME type is accepted as
+ * @param {string} mimeType - MIME type
+ * @returns {string|null} - "image", "video", "audio", "file", or null if not accepted
+ */
+const getAttachmentKind = (mimeType) => {
+  const kind = Object.keys(ATTACHMENT_KINDS).find(key =>
+    ATTACHMENT_KINDS[key].mimeTypes.includes(mimeType)
+  );
+  return kind || null;
+};
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(ATTACHMENT_DIR, { recursive: true }, (err) => cb(err, ATTACHMENT_DIR));
+    },
+    filename: (req, file, cb) => {
+      // Random names so files can't be found by guessing
+      cb(null, crypto.randomBytes(16).toString("hex"));
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (getAttachmentKind(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(attachmentError("Unsupported file type", 400), false);
+    }
+  },
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: 1
+  }
+});
+
+/**
+ * Receive a multipart upload (field "file") into the attachment folder
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|undefined>} - The uploaded file, if any
+ */
+const receiveUpload = (req, res) => {
+  return new Promise((resolve, reject) => {
+    upload.single("file")(req, res, (err) => {
+      if (!err) return resolve(req.file);
+
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return reject(attachmentError(`Attachments can be up to ${MAX_ATTACHMENT_SIZE / MB}MB`, 413));
+      }
+      if (err instanceof multer.MulterError) {
+        return reject(attachmentError(err.message, 400));
+      }
+      reject(err);
+    });
+  });
+};
+
+/**
+ * Get the path of an attachment's file on disk
+ * @param {Object} attachment - Attachment document
+ * @returns {string}
+ */
+const getFilePath = (attachment) => {
+  return path.join(ATTACHMENT_DIR, attachment.storedName);
+};
+
+/**
+ * Delete files from the attachment folder, ignoring ones already gone
+ * @param {Array<string>} storedNames - Names on disk
+ */
+const removeFiles = async (storedNames) => {
+  await Promise.all(storedNames.map(async (storedName) => {
+    try {
+      await fs.promises.unlink(path.join(ATTACHMENT_DIR, storedName));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("Error deleting attachment file:", err.message);
+      }
+    }
+  }));
+};
+
+/**
+ * Save an uploaded file as an attachment in a conversation, enforcing the size
+ * limit for its kind. The file is removed if it's rejected.
+ * @param {string} conversationId - Conversation ID (the uploader must be a participant)
+ * @param {string} userId - Uploader user ID
+ * @param {Object} file - File from receiveUpload
+ * @returns {Promise<Object>} - Attachment document
+ */
+const createAttachment = async (conversationId, userId, file) => {
+  const kind = getAttachmentKind(file.mimetype);
+  const { maxSize } = ATTACHMENT_KINDS[kind] || {};
+
+  if (!kind || file.size > maxSize) {
+    await removeFiles([file.filename]);
+    throw kind
+      ? attachmentError(`${kind[0].toUpperCase()}${kind.slice(1)} attachments can be up to ${maxSize / MB}MB`, 413)
+      : attachmentError("Unsupported file type", 400);
+  }
+
+  const attachment = new Attachment({
+    conversationId,
+    uploader: userId,
+    kind,
+    storedName: file.filename,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size
+  });
+  await attachment.save();
+
+  return attachment;
+};
+
+/**
+ * Get the URL an attachment is served from (requires an auth token or a signature)
+ * @param {Object} attachment - Attachment document or ID
+ * @returns {string}
+ */
+const getAttachmentUrl = (attachment) => {
+  return `/api/messages/attachments/${attachment._id || attachment}`;
+};
+
+/**
+ * Shape an attachment for API responses
+ * @param {Object} attachment - Attachment document
+ * @returns {Object}
+ */
+const formatAttachment = (attachment) => {
+  return {
+    _id: attachment._id,
+    conversationId: attachment.conversationId,
+    kind: attachment.kind,
+    name: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    url: getAttachmentUrl(attachment),
+    createdAt: attachment.createdAt
+  };
+};
+
+/**
+ * Build the media entry stored on a message for an attachment
+ * @param {Object} attachment - Attachment document
+ * @param {string} [caption] - Caption
+ * @returns {Object}
+ */
+const toMedia = (attachment, caption) => {
+  return {
+    type: attachment.kind,
+    url: getAttachmentUrl(attachment),
+    caption: caption || "",
+    attachment: attachment._id,
+    name: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size
+  };
+};
+
+/**
+ * Find a user's unsent uploads in a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Uploader user ID
+ * @param {Array} attachmentIds - Attachment IDs
+ * @returns {Promise<Array>} - The matching attachments
+ */
+const findUnsent = (conversationId, userId, attachmentIds) => {
+  return Attachment.find({
+    _id: { $in: attachmentIds },
+    conversationId,
+    uploader: userId,
+    messageId: null
+  });
+};
+
+/**
+ * Record the message attachments were sent with
+ * @param {Array} attachmentIds - Attachment IDs
+ * @param {string} messageId - Message ID
+ */
+const markSent = async (attachmentIds, messageId) => {
+  await Attachment.updateMany(
+    { _id: { $in: attachmentIds }, messageId: null },
+    { $set: { messageId } }
+  );
+};
+
+/**
+ * Delete attachments and their files
+ * @param {Object} filter - MongoDB filter for the attachments
+ * @returns {Promise<number>} - Number of attachments deleted
+ */
+const removeWhere = async (filter) => {
+  const attachments = await Attachment.find(filter).select("storedName");
+  if (attachments.length === 0) return 0;
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map(a => a._id) } });
+  await removeFiles(attachments.map(a => a.storedName));
+  return attachments.length;
+};
+
+/**
+ * Delete the attachments sent with messages that no longer exist
+ * @param {Array} messageIds - Deleted message IDs
+ * @returns {Promise<number>}
+ */
+const removeForMessages = (messageIds) => {
+  if (!messageIds || messageIds.length === 0) return Promise.resolve(0);
+  return removeWhere({ messageId: { $in: messageIds } });
+};
+
+/**
+ * Delete every attachment in a conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<number>}
+ */
+const removeForConversation = (conversationId) => {
+  return removeWhere({ conversationId });
+};
+
+/**
+ * Delete uploads that were never sent
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>}
+ */
+const removeUnsent = (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - UNSENT_ATTACHMENT_HOURS * 60 * 60 * 1000);
+  return removeWhere({ messageId: null, createdAt: { $lt: cutoff } });
+};
+
+/**
+ * Sign an attachment link for one user
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - User the link was issued to
+ * @param {number} expires - Expiry as a Unix time in seconds
+ * @returns {string}
+ */
+const sign = (attachmentId, userId, expires) => {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`attachment:${attachmentId}:${userId}:${expires}`)
+    .digest("base64url");
+};
+
+/**
+ * Create a short-lived link to an attachment for use where auth headers can't
+ * be sent (e.g. <img> and <video> tags). Access is checked again when it's used.
+ * @param {Object} attachment - Attachment document
+ * @param {string} userId - User the link is for
+ * @returns {Object} - { url, expiresAt }
+ */
+const createSignedUrl = (attachment, userId) => {
+  const expires = Math.floor(Date.now() / 1000) + ATTACHMENT_URL_TTL_SECONDS;
+  const params = new URLSearchParams({
+    user: userId.toString(),
+    expires: String(expires),
+    signature: sign(attachment._id.toString(), userId.toString(), expires)
+  });
+
+  return {
+    url: `${getAttachmentUrl(attachment)}?${params}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * Check a signed attachment link
+ * @param {string} attachmentId - Attachment ID from the URL
+ * @param {Object} query - { user, expires, signature } from the query string
+ * @returns {string|null} - The user the link was issued to, or null if invalid or expired
+ */
+const verifySignedUrl = (attachmentId, { user, expires, signature } = {}) => {
+  if (!user || !expires || !signature) return null;
+
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < Date.now() / 1000) return null;
+
+  const expected = Buffer.from(sign(attachmentId, user, expiresAt));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return user;
+};
+
+module.exports = {
+  receiveUpload,
+  createAttachment,
+  getFilePath,
+  formatAttachment,
+  toMedia,
+  findUnsent,
+  markSent,
+  removeForMessages,
+  removeForConversation,
+  removeUnsent,
+  createSignedUrl,
+  verifySignedUrl
+};
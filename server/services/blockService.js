@@ -0,0 +1,92 @@
+const User = require("../models/User");
+
+/**
+ * Get the users hidden from someone in both directions:
+ * the users they blocked and the users who blocked them
+ * @param {string} userId - User ID (may be empty for anonymous requests)
+ * @returns {Promise<Array>} - User IDs
+ */
+const getBlockedUserIds = async (userId) => {
+  if (!userId) return [];
+
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select("blockedUsers"),
+    User.find({ "blockedUsers.user": userId }).select("_id")
+  ]);
+
+  const blocked = user ? user.blockedUsers.map(block => block.user) : [];
+  return [...blocked, ...blockedBy.map(u => u._id)];
+};
+
+/**
+ * Check whether either of two users has blocked the other
+ * @param {string} userA - User ID
+ * @param {string} userB - User ID
+ * @returns {Promise<boolean>}
+ */
+const isBlockedBetween = async (userA, userB) => {
+  if (!userA || !userB) return false;
+
+  const blocked = await User.exists({
+    $or: [
+      { _id: userA, "blockedUsers.user": userB },
+      { _id: userB, "blockedUsers.user": userA }
+    ]
+  });
+
+  return Boolean(blocked);
+};
+
+/**
+ * Block a user, dropping follows and follow requests between the two in both directions
+ * @param {string} userId - Blocking user ID
+ * @param {string} blockedId - User ID to block (must exist)
+ * @returns {Promise<Array>} - The blocking user's updated blockedUsers
+ */
+const blockUser = async (userId, blockedId) => {
+  // Required here because the notification service itself depends on this module
+  const notificationService = require("./notificationService");
+
+  const [currentUser, userToBlock] = await Promise.all([
+    User.findById(userId),
+    User.findById(blockedId)
+  ]);
+
+  const alreadyBlocked = currentUser.blockedUsers.some(
+    block => block.user.toString() === blockedId.toString()
+  );
+  if (!alreadyBlocked) {
+    currentUser.blockedUsers.unshift({ user: blockedId });
+  }
+
+  // Drop pending follow requests in either direction
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { followRequests: { user: blockedId } } }
+  );
+  await User.updateOne(
+    { _id: blockedId },
+    { $pull: { followRequests: { user: userId } } }
+  );
+  await notificationService.removeFollowRequestNotification(blockedId, userId);
+  await notificationService.removeFollowRequestNotification(userId, blockedId);
+
+  // Neither user keeps following the other
+  const isOther = follow => follow.user.toString() !== blockedId.toString();
+  const isCurrent = follow => follow.user.toString() !== userId.toString();
+  currentUser.following = currentUser.following.filter(isOther);
+  currentUser.followers = currentUser.followers.filter(isOther);
+  userToBlock.following = userToBlock.following.filter(isCurrent);
+  userToBlock.followers = userToBlock.followers.filter(isCurrent);
+
+  await userToBlock.save();
+  await currentUser.save();
+
+  return currentUser.blockedUsers;
+};
+
+module.exports = {
+  getBlockedUserIds,
+  isBlockedBetween,
+  blockUser
+};
@@ -167,8 +167,271 @@ const sendWelcomeEmail = async (to, username) => {
   }
 };
 
+/**
+ * Send password reset code email
+ * @param {string} to Recipient email address
+ * @param {string} otp Reset code to send
+ * @param {string} username Username of the user
+ * @returns {Promise} Promise resolving to mail send info
+ */
+const sendPasswordResetEmail = async (to, otp, username) => {
+  // Skip sending if emails are disabled
+  if (!shouldSendEmails) {
+    console.log(`[EMAILS DISABLED] Would send password reset email to ${to} with code ${otp}`);
+    return { messageId: 'test-mode', accepted: [to] };
+  }
+  
+  try {
+    // Create HTML email template
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Reset Your UThread Password</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #6b55e8; padding: 20px; text-align: center; color: white;">
+          <h2 style="margin: 0;">Password Reset</h2>
+        </div>
+        
+        <div style="padding: 20px; border: 1px solid #eee; border-top: none;">
+          <h3>Hi ${username},</h3>
+          
+          <p>We received a request to reset the password for your UThread account. Use the code below to choose a new password:</p>
+          
+          <div style="background-color: #f5f5f5; padding: 15px; text-align: center; margin: 20px 0;">
+            <p style="margin-bottom: 0; color: #666;">Your password reset code is:</p>
+            <div style="font-size: 32px; letter-spacing: 5px; font-weight: bold; color: #6b55e8; margin: 10px 0;">${otp}</div>
+            <p style="margin-top: 5px; font-size: 14px; color: #666;">This code will expire in 15 minutes.</p>
+          </div>
+          
+          <p>Resetting your password will sign you out on all your devices.</p>
+          
+          <p>If you did not request a password reset, you can safely ignore this email. Your password will not change.</p>
+          
+          <p>Best regards,<br>The UThread Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    // Email options
+    const mailOptions = {
+      from: `"UThread" <${process.env.EMAIL_USER}>`,
+      to,
+      subject: 'Reset Your UThread Password',
+      html
+    };
+
+    // Send the email
+    const result = await transporter.sendMail(mailOptions);
+    console.log(`Password reset email sent to ${to}`);
+    return result;
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send OTP email to confirm a new email address
+ * @param {string} to New email address awaiting confirmation
+ * @param {string} otp OTP code to send
+ * @param {string} username Username of the user
+ * @returns {Promise} Promise resolving to mail send info
+ */
+const sendEmailChangeVerificationEmail = async (to, otp, username) => {
+  // Skip sending if emails are disabled
+  if (!shouldSendEmails) {
+    console.log(`[EMAILS DISABLED] Would send email change verification to ${to} with code ${otp}`);
+    return { messageId: 'test-mode', accepted: [to] };
+  }
+  
+  try {
+    // Create HTML email template
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Confirm Your New Email Address</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #6b55e8; padding: 20px; text-align: center; color: white;">
+          <h2 style="margin: 0;">Confirm Your New Email</h2>
+        </div>
+        
+        <div style="padding: 20px; border: 1px solid #eee; border-top: none;">
+          <h3>Hi ${username},</h3>
+          
+          <p>You asked to use this address for your UThread account. To confirm the change, enter the verification code below:</p>
+          
+          <div style="background-color: #f5f5f5; padding: 15px; text-align: center; margin: 20px 0;">
+            <p style="margin-bottom: 0; color: #666;">Your verification code is:</p>
+            <div style="font-size: 32px; letter-spacing: 5px; font-weight: bold; color: #6b55e8; margin: 10px 0;">${otp}</div>
+            <p style="margin-top: 5px; font-size: 14px; color: #666;">This code will expire in 15 minutes.</p>
+          </div>
+          
+          <p>If you did not request this change, please ignore this email.</p>
+          
+          <p>Best regards,<br>The UThread Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    // Email options
+    const mailOptions = {
+      from: `"UThread" <${process.env.EMAIL_USER}>`,
+      to,
+      subject: 'Confirm Your New UThread Email Address',
+      html
+    };
+
+    // Send the email
+    const result = await transporter.sendMail(mailOptions);
+    console.log(`Email change verification sent to ${to}`);
+    return result;
+  } catch (error) {
+    console.error('Error sending email change verification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a security notice to the current address when an email change is requested
+ * @param {string} to Current email address
+ * @param {string} newEmail Requested new email address
+ * @param {string} username Username of the user
+ * @returns {Promise} Promise resolving to mail send info
+ */
+const sendEmailChangeNoticeEmail = async (to, newEmail, username) => {
+  // Skip sending if emails are disabled
+  if (!shouldSendEmails) {
+    console.log(`[EMAILS DISABLED] Would send email change notice to ${to} about ${newEmail}`);
+    return { messageId: 'test-mode', accepted: [to] };
+  }
+  
+  try {
+    // Mask the new address so the notice doesn't disclose it in full
+    const [localPart, domain] = newEmail.split('@');
+    const maskedEmail = `${localPart.charAt(0)}***@${domain}`;
+
+    // Create HTML email template
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Email Change Requested</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #6b55e8; padding: 20px; text-align: center; color: white;">
+          <h2 style="margin: 0;">Email Change Requested</h2>
+        </div>
+        
+        <div style="padding: 20px; border: 1px solid #eee; border-top: none;">
+          <h3>Hi ${username},</h3>
+          
+          <p>Someone asked to change the email address on your UThread account to <strong>${maskedEmail}</strong>.</p>
+          
+          <p>The change only takes effect once it is confirmed from the new address. Until then, this address stays on your account.</p>
+          
+          <p>If you did not request this change, please reset your password right away.</p>
+          
+          <p>Best regards,<br>The UThread Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    // Email options
+    const mailOptions = {
+      from: `"UThread" <${process.env.EMAIL_USER}>`,
+      to,
+      subject: 'Your UThread Email Address Is Being Changed',
+      html
+    };
+
+    // Send the email
+    const result = await transporter.sendMail(mailOptions);
+    console.log(`Email change notice sent to ${to}`);
+    return result;
+  } catch (error) {
+    console.error('Error sending email change notice:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an alert after repeated failed login attempts
+ * @param {string} to Recipient email address
+ * @param {string} username Username of the user
+ * @param {number} attempts Number of failed attempts
+ * @param {string} ip IP address of the latest attempt
+ * @returns {Promise} Promise resolving to mail send info
+ */
+const sendFailedLoginAlertEmail = async (to, username, attempts, ip) => {
+  // Skip sending if emails are disabled
+  if (!shouldSendEmails) {
+    console.log(`[EMAILS DISABLED] Would send failed login alert to ${to} (${attempts} attempts from ${ip})`);
+    return { messageId: 'test-mode', accepted: [to] };
+  }
+  
+  try {
+    // Create HTML email template
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Failed Login Attempts on Your UThread Account</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #6b55e8; padding: 20px; text-align: center; color: white;">
+          <h2 style="margin: 0;">Security Alert</h2>
+        </div>
+        
+        <div style="padding: 20px; border: 1px solid #eee; border-top: none;">
+          <h3>Hi ${username},</h3>
+          
+          <p>There have been <strong>${attempts}</strong> failed attempts to sign in to your UThread account. The latest came from IP address <strong>${ip}</strong>.</p>
+          
+          <p>To protect your account, sign-ins are temporarily locked. The lock lifts automatically after a short wait.</p>
+          
+          <p>If this wasn't you, we recommend resetting your password and turning on two-factor authentication.</p>
+          
+          <p>Best regards,<br>The UThread Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    // Email options
+    const mailOptions = {
+      from: `"UThread" <${process.env.EMAIL_USER}>`,
+      to,
+      subject: 'Failed Login Attempts on Your UThread Account',
+      html
+    };
+
+    // Send the email
+    const result = await transporter.sendMail(mailOptions);
+    console.log(`Failed login alert sent to ${to}`);
+    return result;
+  } catch (error) {
+    console.error('Error sending failed login alert:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   generateOTP,
   sendVerificationEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeVerificationEmail,
+  sendEmailChangeNoticeEmail,
+  sendFailedLoginAlertEmail
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+const LoginThrottle = require("../models/LoginThrottle");
+
+// Failures allowed before lockouts start, per account and per client IP
+const ACCOUNT_FAILURE_THRESHOLD = 5;
+const IP_FAILURE_THRESHOLD = 20;
+
+// Password reset requests allowed per client IP before lockouts start
+const RESET_REQUEST_THRESHOLD = 5;
+
+// Lockouts double with every failure past the threshold, up to the maximum
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+// Counters reset after this long without a failure
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the throttle key for an account
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+const accountKey = (userId) => `account:${userId}`;
+
+/**
+ * Build the throttle key for a client IP
+ * @param {string} ip - Client IP address
+ * @returns {string}
+ */
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Build the throttle key for password reset requests from a client IP
+ * @param {string} ip - Client IP address
+ * @returns {string}
+ */
+const resetRequestKey = (ip) => `reset:${ip}`;
+
+/**
+ * Get how long the longest active lockout among the keys still lasts
+ * @param {Array<string>} keys - Throttle keys to check
+ * @returns {Promise<number>} - Seconds remaining (0 if not locked)
+ */
+const getLockoutSeconds = async (keys) => {
+  const throttles = await LoginThrottle.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() }
+  });
+
+  const remaining = throttles.map(t => t.lockedUntil.getTime() - Date.now());
+  return remaining.length > 0 ? Math.ceil(Math.max(...remaining) / 1000) : 0;
+};
+
+/**
+ * Record a failed attempt and lock the key once it passes its threshold
+ * @param {string} key - Throttle key
+ * @param {number} threshold - Failures allowed before locking
+ * @returns {Promise<Object>} - Updated throttle document
+ */
+const recordFailure = async (key, threshold) => {
+  const now = new Date();
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + FAILURE_MEMORY_MS)
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (throttle.failures >= threshold) {
+    const lockoutMs = Math.min(
+      BASE_LOCKOUT_MS * Math.pow(2, throttle.failures - threshold),
+      MAX_LOCKOUT_MS
+    );
+    throttle.lockedUntil = new Date(now.getTime() + lockoutMs);
+    await throttle.save();
+  }
+
+  return throttle;
+};
+
+/**
+ * Record a failed login for a client IP
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>} - Updated throttle document
+ */
+const recordIpFailure = (ip) => recordFailure(ipKey(ip), IP_FAILURE_THRESHOLD);
+
+/**
+ * Record a failed login for an account
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Updated throttle document
+ */
+const recordAccountFailure = (userId) => recordFailure(accountKey(userId), ACCOUNT_FAILURE_THRESHOLD);
+
+/**
+ * Record a password reset request from a client IP. Every request counts,
+ * since each one can send an email
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>} - Updated throttle document
+ */
+const recordResetRequest = (ip) => recordFailure(resetRequestKey(ip), RESET_REQUEST_THRESHOLD);
+
+/**
+ * Clear an account's failed login history after a successful login
+ * @param {string} userId - User ID
+ */
+const clearAccountFailures = async (userId) => {
+  await LoginThrottle.deleteOne({ key: accountKey(userId) });
+};
+
+module.exports = {
+  ACCOUNT_FAILURE_THRESHOLD,
+  accountKey,
+  ipKey,
+  resetRequestKey,
+  getLockoutSeconds,
+  recordIpFailure,
+  recordAccountFailure,
+  recordResetRequest,
+  clearAccountFailures
+};
@@ -0,0 +1,50 @@
+const messageService = require("./messageService");
+const attachmentService = require("./attachmentService");
+
+// How often to look for disappearing messages that have run out
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.MESSAGE_EXPIRY_SWEEP_SECONDS) || 60;
+
+/**
+ * Delete expired messages and tell the participants of each affected conversation.
+ * Attachments that were uploaded but never sent are cleared out too
+ * @param {Object} socketInstance - Helpers returned by the socket handler
+ */
+const sweep = async (socketInstance) => {
+  const expired = await messageService.deleteExpiredMessages();
+
+  for (const { conversation, messageIds, lastMessageChanged } of expired) {
+    socketInstance.sendToConversation(conversation, "messages_expired", {
+      conversationId: conversation._id,
+      messageIds
+    });
+
+    if (lastMessageChanged) {
+      const populatedConversation = await messageService.getPopulatedConversation(conversation._id);
+      socketInstance.sendToConversation(conversation, "conversation_update", populatedConversation);
+    }
+  }
+
+  await attachmentService.removeUnsent();
+};
+
+/**
+ * Start sweeping expired disappearing messages in the background
+ * @param {Object} socketInstance - Helpers returned by the socket handler
+ * @returns {Object} - Interval timer
+ */
+const start = (socketInstance) => {
+  const timer = setInterval(() => {
+    sweep(socketInstance).catch(error => {
+      console.error("Error deleting expired messages:", error);
+    });
+  }, SWEEP_INTERVAL_SECONDS * 1000);
+
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sweep,
+  start
+};
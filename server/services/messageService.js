@@ -0,0 +1,1090 @@
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const Attachment = require("../models/Attachment");
+const MessageTombstone = require("../models/MessageTombstone");
+const User = require("../models/User");
+const blockService = require("./blockService");
+const attachmentService = require("./attachmentService");
+const { isAllowedReaction, toggleReaction } = require("../utils/reactions");
+const { encodeCursor } = require("../utils/pagination");
+
+const PARTICIPANT_FIELDS = "username displayName avatar";
+
+// Largest number of people allowed in a group conversation
+const MAX_GROUP_SIZE = parseInt(process.env.MAX_GROUP_SIZE) || 50;
+
+// How long after sending a sender may still edit a message
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+
+// Most attachments sent with one message
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+// Messages shown either side of a search hit
+const SEARCH_CONTEXT_SIZE = 2;
+
+// Disappearing message timers participants can choose from, in seconds
+const MESSAGE_TIMERS = {
+  off: 0,
+  "24h": 24 * 60 * 60,
+  "7d": 7 * 24 * 60 * 60,
+  "90d": 90 * 24 * 60 * 60
+};
+const MESSAGE_TIMER_LABELS = { "24h": "24 hours", "7d": "7 days", "90d": "90 days" };
+
+/**
+ * Create an error that routes and socket handlers report back to the client
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error}
+ */
+const messagingError = (message, status) => {
+  const error = new Error(message);
+  error.name = "MessagingError";
+  error.status = status;
+  return error;
+};
+
+/**
+ * Get the conversation preview text for a message
+ * @param {string} content - Message text
+ * @param {Array} media - Message media
+ * @returns {string}
+ */
+const getPreviewText = (content, media) => {
+  return content || (media && media.length > 0 ? "Sent media" : "");
+};
+
+/**
+ * Load a conversation with participants and the last message populated
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>}
+ */
+const getPopulatedConversation = (conversationId) => {
+  return Conversation.findById(conversationId)
+    .populate("participants", PARTICIPANT_FIELDS)
+    .populate({
+      path: "lastMessage",
+      populate: {
+        path: "senderId",
+        select: PARTICIPANT_FIELDS
+      }
+    });
+};
+
+/**
+ * Build a user's view of a conversation with their unread count and settings
+ * @param {Object} conversation - Conversation document (participants and last message populated)
+ * @param {string} userId - Viewing user ID
+ * @returns {Promise<Object>}
+ */
+const formatConversation = async (conversation, userId) => {
+  const conversationObj = conversation.toObject();
+  const userIdStr = userId.toString();
+
+  const lastMessage = conversation.lastMessage;
+  const deletedLastMessage = lastMessage && lastMessage.deletedFor &&
+    lastMessage.deletedFor.some(id => id.toString() === userIdStr);
+
+  if (conversation.isClearedFor(userIdStr)) {
+    // Don't preview a message the user has cleared
+    conversationObj.lastMessage = null;
+    conversationObj.lastMessageText = "";
+  } else if (deletedLastMessage) {
+    // Preview the latest message the user hasn't deleted for themselves
+    const latest = await Message.findOne(getVisibleMessageFilter(conversation, userIdStr))
+      .sort({ createdAt: -1, _id: -1 })
+      .populate("senderId", PARTICIPANT_FIELDS);
+
+    conversationObj.lastMessage = latest ? latest.toObject() : null;
+    conversationObj.lastMessageText = latest ? getPreviewText(latest.content, latest.media) : "";
+    if (latest) conversationObj.lastMessageDate = latest.createdAt;
+  }
+
+  return {
+    ...conversationObj,
+    // Only direct conversations have a single other participant
+    otherParticipant: conversation.isGroup
+      ? null
+      : conversationObj.participants.find(p => (p._id || p).toString() !== userIdStr),
+    unreadCount: conversation.unreadCount.get(userIdStr) || 0,
+    isPinned: conversation.isPinned.get(userIdStr) || false,
+    isMuted: conversation.isMuted.get(userIdStr) || false,
+    isArchived: conversation.isArchived.get(userIdStr) || false,
+    isRequest: conversation.isPendingFor(userIdStr)
+  };
+};
+
+/**
+ * Build a filter for the messages of a conversation a user can still see,
+ * leaving out messages they deleted or cleared
+ * @param {Object} conversation - Conversation document
+ * @param {string} userId - User ID
+ * @returns {Object} - MongoDB filter
+ */
+const getVisibleMessageFilter = (conversation, userId) => {
+  const filter = { conversationId: conversation._id, deletedFor: { $ne: userId } };
+
+  const clearedAt = conversation.getClearedAt(userId);
+  if (clearedAt) {
+    filter.createdAt = { $gt: clearedAt };
+  }
+
+  return filter;
+};
+
+/**
+ * Load a conversation and check that a user belongs to it
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Conversation document
+ */
+const getConversationForMember = async (conversationId, userId) => {
+  const conversation = await Conversation.findById(conversationId);
+
+  if (!conversation) {
+    throw messagingError("Conversation not found", 404);
+  }
+  if (!conversation.isParticipant(userId)) {
+    throw messagingError("Not authorized", 403);
+  }
+
+  return conversation;
+};
+
+/**
+ * Load a group conversation and check that a user is one of its admins
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Conversation document
+ */
+const getGroupForAdmin = async (conversationId, userId) => {
+  const conversation = await getConversationForMember(conversationId, userId);
+
+  if (!conversation.isGroup) {
+    throw messagingError("Not a group conversation", 400);
+  }
+  if (!conversation.isAdmin(userId)) {
+    throw messagingError("Only group admins can do that", 403);
+  }
+
+  return conversation;
+};
+
+/**
+ * Find the direct conversation between two users, creating it if needed
+ * @param {string} userId - User ID
+ * @param {string} otherUserId - Other user ID
+ * @returns {Promise<Object>} - Conversation document
+ */
+const getOrCreateDirectConversation = async (userId, otherUserId) => {
+  let conversation = await Conversation.findDirect(userId, otherUserId);
+
+  if (!conversation) {
+    // Conversations started by someone the other user doesn't follow are message requests
+    const isFollowed = await User.exists({ _id: otherUserId, "following.user": userId });
+
+    conversation = new Conversation({
+      participants: [userId, otherUserId],
+      pendingFor: isFollowed ? [] : [otherUserId],
+      unreadCount: new Map(),
+      isPinned: new Map(),
+      isMuted: new Map()
+    });
+
+    try {
+      await conversation.save();
+    } catch (err) {
+      // Another request created the conversation first; the unique directKey keeps just one
+      if (err.code !== 11000) throw err;
+      conversation = await Conversation.findDirect(userId, otherUserId);
+    }
+  }
+
+  return conversation;
+};
+
+/**
+ * Turn the media a client sends ({ attachmentId, caption }) into message media.
+ * Only the sender's own unsent uploads to this conversation can be used
+ * @param {Object} conversation - Conversation document
+ * @param {string} senderId - Sender user ID
+ * @param {Array} media - Media from the client
+ * @returns {Promise<Object>} - { media, attachmentIds }
+ */
+const resolveMedia = async (conversation, senderId, media) => {
+  if (!media || media.length === 0) {
+    return { media: [], attachmentIds: [] };
+  }
+
+  if (!Array.isArray(media) || media.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw messagingError(`Up to ${MAX_ATTACHMENTS_PER_MESSAGE} attachments can be sent at once`, 400);
+  }
+
+  const attachmentIds = media.map(item => item && item.attachmentId && item.attachmentId.toString());
+  if (attachmentIds.some(id => !mongoose.isValidObjectId(id))) {
+    throw messagingError("Media must be uploaded as an attachment first", 400);
+  }
+
+  const attachments = await attachmentService.findUnsent(conversation._id, senderId, attachmentIds);
+  if (new Set(attachmentIds).size !== attachmentIds.length || attachments.length !== attachmentIds.length) {
+    throw messagingError("Attachment not found or already sent", 400);
+  }
+
+  const byId = new Map(attachments.map(attachment => [attachment._id.toString(), attachment]));
+  return {
+    media: media.map((item, i) => attachmentService.toMedia(byId.get(attachmentIds[i]), item.caption)),
+    attachmentIds
+  };
+};
+
+/**
+ * Send a message to a conversation, or to a user's direct conversation
+ * @param {string} senderId - Sender user ID
+ * @param {Object} data - { conversationId or receiverId, content, media ([{ attachmentId, caption }]) }
+ * @returns {Promise<Object>} - { message (sender populated), conversation }
+ */
+const sendMessage = async (senderId, { conversationId, receiverId, content, media }) => {
+  if ((!content || content.trim() === "") && (!media || media.length === 0)) {
+    throw messagingError("Message cannot be empty", 400);
+  }
+
+  let conversation;
+  if (conversationId) {
+    conversation = await getConversationForMember(conversationId, senderId);
+  } else if (receiverId) {
+    if (receiverId.toString() === senderId.toString()) {
+      throw messagingError("Cannot send message to yourself", 400);
+    }
+
+    const receiver = await User.findById(receiverId).select("_id");
+    if (!receiver) {
+      throw messagingError("Recipient not found", 404);
+    }
+
+    if (await blockService.isBlockedBetween(senderId, receiverId)) {
+      throw messagingError("You can't message this user", 403);
+    }
+
+    conversation = await getOrCreateDirectConversation(senderId, receiverId);
+  } else {
+    throw messagingError("Recipient is required", 400);
+  }
+
+  // Direct messages keep their receiver; blocks are checked for existing chats too
+  let directReceiverId = null;
+  if (!conversation.isGroup) {
+    directReceiverId = conversation.getOtherParticipantIds(senderId)[0];
+
+    if (conversationId && await blockService.isBlockedBetween(senderId, directReceiverId)) {
+      throw messagingError("You can't message this user", 403);
+    }
+  }
+
+  const resolved = await resolveMedia(conversation, senderId, media);
+
+  const message = new Message({
+    conversationId: conversation._id,
+    senderId,
+    receiverId: directReceiverId,
+    content: content || "",
+    media: resolved.media,
+    isRead: false,
+    expiresAt: conversation.messageTimer > 0
+      ? new Date(Date.now() + conversation.messageTimer * 1000)
+      : null
+  });
+  await message.save();
+  await attachmentService.markSent(resolved.attachmentIds, message._id);
+
+  // Replying to a message request accepts it
+  if (conversation.isPendingFor(senderId)) {
+    conversation.acceptFor(senderId);
+  }
+
+  conversation.updateLastMessage(message._id, getPreviewText(content, media));
+  conversation.incrementUnreadForOthers(senderId);
+
+  // New messages bring archived conversations back for their recipients
+  conversation.getActiveParticipantIds(senderId).forEach(id => conversation.setArchived(id, false));
+  await conversation.save();
+
+  const populatedMessage = await Message.findById(message._id)
+    .populate("senderId", PARTICIPANT_FIELDS);
+
+  return { message: populatedMessage, conversation };
+};
+
+/**
+ * Load a message and its conversation, checking that a user belongs to the conversation
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { message, conversation }
+ */
+const getMessageForMember = async (messageId, userId) => {
+  const message = await Message.findById(messageId);
+  if (!message) {
+    throw messagingError("Message not found", 404);
+  }
+
+  const conversation = await Conversation.findById(message.conversationId);
+  if (!conversation || !conversation.isParticipant(userId)) {
+    throw messagingError("Not authorized", 403);
+  }
+
+  // Messages deleted or cleared by this user are treated as gone
+  if (!conversation.isMessageVisibleTo(message, userId)) {
+    throw messagingError("Message not found", 404);
+  }
+
+  return { message, conversation };
+};
+
+/**
+ * Load an attachment, checking that a user may see it: the uploader before it's
+ * sent, then anyone who can still see the message it was sent with
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Attachment document
+ */
+const getAttachmentForMember = async (attachmentId, userId) => {
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment) {
+    throw messagingError("Attachment not found", 404);
+  }
+
+  if (attachment.messageId) {
+    await getMessageForMember(attachment.messageId, userId);
+  } else {
+    if (attachment.uploader.toString() !== userId.toString()) {
+      throw messagingError("Attachment not found", 404);
+    }
+    await getConversationForMember(attachment.conversationId, userId);
+  }
+
+  return attachment;
+};
+
+/**
+ * Record that messages reached one of a recipient's devices
+ * @param {string} userId - Recipient user ID
+ * @param {Array} messageIds - IDs of the received messages
+ * @returns {Promise<Array>} - Newly delivered { messageId, conversationId, senderId, deliveredAt }
+ */
+const markDelivered = async (userId, messageIds) => {
+  const messages = await Message.find({
+    _id: { $in: messageIds },
+    senderId: { $ne: userId },
+    deletedFor: { $ne: userId },
+    "receipts.user": { $ne: userId }
+  }).select("conversationId senderId");
+
+  if (messages.length === 0) return [];
+
+  // Only members of the message's conversation can acknowledge it
+  const conversationIds = [...new Set(messages.map(m => m.conversationId.toString()))];
+  const memberOf = await Conversation.find({
+    _id: { $in: conversationIds },
+    participants: userId
+  }).select("_id");
+  const allowed = new Set(memberOf.map(c => c._id.toString()));
+  const delivered = messages.filter(m => allowed.has(m.conversationId.toString()));
+
+  if (delivered.length === 0) return [];
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: delivered.map(m => m._id) }, "receipts.user": { $ne: userId } },
+    { $push: { receipts: { user: userId, deliveredAt, readAt: null } } }
+  );
+
+  return delivered.map(m => ({
+    messageId: m._id,
+    conversationId: m.conversationId,
+    senderId: m.senderId,
+    deliveredAt
+  }));
+};
+
+/**
+ * Mark messages in a conversation as read by a participant and reset their unread count
+ *
+ * Reading a message also counts as delivering it. Read times are only recorded
+ * when the reader shares read receipts.
+ *
+ * @param {Object} conversation - Conversation document (the user must be a participant)
+ * @param {string} userId - Reader user ID
+ * @param {Array} [messageIds] - Limit to these messages (defaults to the whole conversation)
+ * @returns {Promise<Object>} - { delivered, messageIds (newly read), readAt, sharesReceipts }
+ */
+const markRead = async (conversation, userId, messageIds = null) => {
+  const filter = {
+    ...getVisibleMessageFilter(conversation, userId),
+    senderId: { $ne: userId }
+  };
+  if (messageIds) filter._id = { $in: messageIds };
+
+  const undelivered = await Message.find({ ...filter, "receipts.user": { $ne: userId } }).select("_id");
+  const delivered = await markDelivered(userId, undelivered.map(m => m._id));
+
+  // Reading a message request doesn't tell the sender it was seen
+  const reader = await User.findById(userId).select("readReceipts");
+  const sharesReceipts = (!reader || reader.readReceipts !== false) &&
+    !conversation.isPendingFor(userId);
+
+  const readAt = new Date();
+  let readIds = [];
+  if (sharesReceipts) {
+    const unread = await Message.find({
+      ...filter,
+      receipts: { $elemMatch: { user: userId, readAt: null } }
+    }).select("_id");
+    readIds = unread.map(m => m._id);
+
+    if (readIds.length > 0) {
+      await Message.updateMany(
+        { _id: { $in: readIds }, "receipts.user": userId },
+        { $set: { isRead: true, "receipts.$.readAt": readAt } }
+      );
+    }
+  }
+
+  conversation.resetUnread(userId);
+  await conversation.save();
+
+  return { delivered, messageIds: readIds, readAt, sharesReceipts };
+};
+
+/**
+ * Load a conversation that is still a message request for a user
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Conversation document
+ */
+const getRequestForMember = async (conversationId, userId) => {
+  const conversation = await getConversationForMember(conversationId, userId);
+
+  if (!conversation.isPendingFor(userId)) {
+    throw messagingError("This conversation is not a message request", 400);
+  }
+
+  return conversation;
+};
+
+/**
+ * Accept a message request, moving the conversation into the user's inbox
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Conversation document
+ */
+const acceptRequest = async (conversationId, userId) => {
+  const conversation = await getRequestForMember(conversationId, userId);
+
+  conversation.acceptFor(userId);
+  await conversation.save();
+
+  return conversation;
+};
+
+/**
+ * Decline a message request, clearing its messages for the user. The request
+ * only comes back if the sender writes again.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Conversation document
+ */
+const declineRequest = async (conversationId, userId) => {
+  const conversation = await getRequestForMember(conversationId, userId);
+  return clearHistory(conversation, userId);
+};
+
+/**
+ * Clear a conversation's history for a user and hide it from their list until a
+ * new message arrives. Messages every participant has cleared are deleted.
+ * @param {Object} conversation - Conversation document (the user must be a participant)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Conversation document
+ */
+const clearHistory = async (conversation, userId) => {
+  conversation.clearedAt.set(userId.toString(), new Date());
+  conversation.resetUnread(userId);
+
+  // The oldest watermark is where everyone's cleared history overlaps
+  const watermarks = conversation.participants.map(p => conversation.getClearedAt(p._id || p));
+  if (watermarks.every(Boolean)) {
+    const cutoff = new Date(Math.min(...watermarks.map(date => date.getTime())));
+    const clearedIds = await Message.find({ conversationId: conversation._id, createdAt: { $lte: cutoff } })
+      .distinct("_id");
+    await Message.deleteMany({ _id: { $in: clearedIds } });
+    await attachmentService.removeForMessages(clearedIds);
+
+    if (conversation.lastMessageDate <= cutoff) {
+      await refreshLastMessage(conversation);
+    }
+  }
+
+  await conversation.save();
+  return conversation;
+};
+
+/**
+ * Clear a conversation's history for the current user only
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Conversation document
+ */
+const clearConversation = async (conversationId, userId) => {
+  const conversation = await getConversationForMember(conversationId, userId);
+  return clearHistory(conversation, userId);
+};
+
+/**
+ * Point a conversation's preview at its latest remaining message (doesn't save directly)
+ * @param {Object} conversation - Conversation document
+ */
+const refreshLastMessage = async (conversation) => {
+  const latest = await Message.findOne({ conversationId: conversation._id })
+    .sort({ createdAt: -1, _id: -1 });
+
+  if (latest) {
+    conversation.lastMessage = latest._id;
+    conversation.lastMessageText = getPreviewText(latest.content, latest.media);
+    conversation.lastMessageDate = latest.createdAt;
+  } else {
+    conversation.lastMessage = undefined;
+    conversation.lastMessageText = "";
+  }
+};
+
+/**
+ * Edit the text of a message (sender only, within the edit window)
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Sender user ID
+ * @param {string} content - New text
+ * @returns {Promise<Object>} - { message (sender populated), conversation }
+ */
+const editMessage = async (messageId, userId, content) => {
+  if (typeof content !== "string") {
+    throw messagingError("Content must be a string", 400);
+  }
+
+  const { message, conversation } = await getMessageForMember(messageId, userId);
+
+  if (message.isSystem) {
+    throw messagingError("System messages can't be edited", 400);
+  }
+  if (message.senderId.toString() !== userId.toString()) {
+    throw messagingError("You can only edit your own messages", 403);
+  }
+
+  const editDeadline = new Date(message.createdAt);
+  editDeadline.setMinutes(editDeadline.getMinutes() + MESSAGE_EDIT_WINDOW_MINUTES);
+  if (new Date() > editDeadline) {
+    throw messagingError("Edit window has expired", 403);
+  }
+
+  if (content.trim() === "" && message.media.length === 0) {
+    throw messagingError("Message cannot be empty", 400);
+  }
+  if (content === message.content) {
+    throw messagingError("No changes to save", 400);
+  }
+
+  message.content = content;
+  message.editedAt = new Date();
+  await message.save();
+
+  // Keep the preview in sync when the latest message changes
+  if (conversation.lastMessage && conversation.lastMessage.toString() === message._id.toString()) {
+    conversation.lastMessageText = getPreviewText(message.content, message.media);
+    await conversation.save();
+  }
+
+  const populatedMessage = await Message.findById(message._id)
+    .populate("senderId", PARTICIPANT_FIELDS);
+
+  return { message: populatedMessage, conversation };
+};
+
+/**
+ * Delete a message for the current user only, or unsend it for everyone (sender only)
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User ID
+ * @param {boolean} forEveryone - Whether to unsend the message for all participants
+ * @returns {Promise<Object>} - { message, conversation }
+ */
+const deleteMessage = async (messageId, userId, forEveryone) => {
+  const { message, conversation } = await getMessageForMember(messageId, userId);
+
+  if (!forEveryone) {
+    message.deletedFor.push(userId);
+    await message.save();
+
+    // A deleted message no longer counts towards the user's badge
+    if (message.senderId.toString() !== userId.toString() && conversation.isUnreadFor(message, userId)) {
+      const count = conversation.unreadCount.get(userId.toString()) || 0;
+      if (count > 0) {
+        conversation.unreadCount.set(userId.toString(), count - 1);
+        await conversation.save();
+      }
+    }
+
+    return { message, conversation };
+  }
+
+  if (message.isSystem) {
+    throw messagingError("System messages can't be unsent", 400);
+  }
+  if (message.senderId.toString() !== userId.toString()) {
+    throw messagingError("You can only unsend your own messages", 403);
+  }
+
+  await Message.deleteOne({ _id: message._id });
+  await attachmentService.removeForMessages([message._id]);
+
+  // Lets clients that are offline now drop the message when they sync
+  await MessageTombstone.create({
+    conversationId: conversation._id,
+    messageIds: [message._id],
+    reason: "unsent"
+  });
+
+  // Take the message off the badge of each recipient it still counts for
+  conversation.getActiveParticipantIds(userId)
+    .filter(id => conversation.isUnreadFor(message, id))
+    .forEach(id => {
+      const count = conversation.unreadCount.get(id) || 0;
+      conversation.unreadCount.set(id, Math.max(0, count - 1));
+    });
+
+  if (conversation.lastMessage && conversation.lastMessage.toString() === message._id.toString()) {
+    await refreshLastMessage(conversation);
+  }
+  await conversation.save();
+
+  return { message, conversation };
+};
+
+/**
+ * Add or remove a participant's emoji reaction on a message
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Reacting user ID
+ * @param {string} emoji - Reaction emoji
+ * @returns {Promise<Object>} - { message, conversation, reacted }
+ */
+const reactToMessage = async (messageId, userId, emoji) => {
+  if (!isAllowedReaction(emoji)) {
+    throw messagingError("Unsupported reaction", 400);
+  }
+
+  const { message, conversation } = await getMessageForMember(messageId, userId);
+
+  if (!conversation.isGroup) {
+    const otherId = conversation.getOtherParticipantIds(userId)[0];
+    if (await blockService.isBlockedBetween(userId, otherId)) {
+      throw messagingError("You can't interact with this user", 403);
+    }
+  }
+
+  const reacted = toggleReaction(message, userId, emoji);
+  await message.save();
+
+  return { message, conversation, reacted };
+};
+
+/**
+ * Turn disappearing messages on or off for a conversation (any participant, but
+ * not across a block or before a message request is accepted).
+ * A system message tells everyone about the change.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @param {string} timer - "off", "24h", "7d" or "90d"
+ * @returns {Promise<Object>} - { message (the system message, sender populated), conversation }
+ */
+const setMessageTimer = async (conversationId, userId, timer) => {
+  if (!Object.prototype.hasOwnProperty.call(MESSAGE_TIMERS, timer)) {
+    throw messagingError(`Timer must be one of: ${Object.keys(MESSAGE_TIMERS).join(", ")}`, 400);
+  }
+
+  const conversation = await getConversationForMember(conversationId, userId);
+
+  // The change is posted into the conversation, so it's held to the same rules as messages
+  if (!conversation.isGroup) {
+    const otherId = conversation.getOtherParticipantIds(userId)[0];
+    if (await blockService.isBlockedBetween(userId, otherId)) {
+      throw messagingError("You can't interact with this user", 403);
+    }
+    if (conversation.isPendingFor(otherId)) {
+      throw messagingError("Disappearing messages can be set once your message request is accepted", 403);
+    }
+  }
+
+  const seconds = MESSAGE_TIMERS[timer];
+  if (conversation.messageTimer === seconds) {
+    throw messagingError("Disappearing messages are already set to that", 400);
+  }
+
+  const user = await User.findById(userId).select("username displayName");
+  const name = user.displayName || user.username;
+  const content = seconds > 0
+    ? `${name} set disappearing messages to ${MESSAGE_TIMER_LABELS[timer]}`
+    : `${name} turned off disappearing messages`;
+
+  const message = new Message({
+    conversationId: conversation._id,
+    senderId: userId,
+    receiverId: conversation.isGroup ? null : conversation.getOtherParticipantIds(userId)[0],
+    content,
+    isSystem: true
+  });
+  await message.save();
+
+  conversation.messageTimer = seconds;
+  conversation.updateLastMessage(message._id, content);
+  await conversation.save();
+
+  const populatedMessage = await Message.findById(message._id)
+    .populate("senderId", PARTICIPANT_FIELDS);
+
+  return { message: populatedMessage, conversation };
+};
+
+/**
+ * Delete messages whose disappearing timer has run out
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Array>} - { conversation, messageIds, lastMessageChanged } per affected conversation
+ */
+const deleteExpiredMessages = async (now = new Date()) => {
+  const expired = await Message.find({ expiresAt: { $lte: now } }).select("conversationId");
+  if (expired.length === 0) return [];
+
+  await Message.deleteMany({ _id: { $in: expired.map(m => m._id) } });
+  await attachmentService.removeForMessages(expired.map(m => m._id));
+
+  const byConversation = new Map();
+  expired.forEach(m => {
+    const key = m.conversationId.toString();
+    if (!byConversation.has(key)) byConversation.set(key, []);
+    byConversation.get(key).push(m._id);
+  });
+
+  await MessageTombstone.insertMany([...byConversation].map(([conversationId, messageIds]) => ({
+    conversationId,
+    messageIds,
+    reason: "expired",
+    deletedAt: now
+  })));
+
+  const results = [];
+  for (const [conversationId, messageIds] of byConversation) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) continue;
+
+    const lastMessageChanged = Boolean(conversation.lastMessage) &&
+      messageIds.some(id => id.equals(conversation.lastMessage));
+    if (lastMessageChanged) {
+      await refreshLastMessage(conversation);
+      await conversation.save();
+    }
+
+    results.push({ conversation, messageIds, lastMessageChanged });
+  }
+
+  return results;
+};
+
+/**
+ * Search the text of messages in the conversations a user belongs to
+ *
+ * Each result carries the messages around the hit and a cursor for the hit's
+ * position: pass it as `before` or `after` to GET /api/messages/:conversationId
+ * to load the older or newer messages around it.
+ *
+ * @param {string} userId - Searching user ID
+ * @param {string} q - Search text
+ * @param {Object} options - { conversationId, limit, skip }
+ * @returns {Promise<Array>} - { message, score, conversationId, context: { before, after }, cursor }
+ */
+const searchMessages = async (userId, q, { conversationId, limit = 20, skip = 0 } = {}) => {
+  const conversations = conversationId
+    ? [await getConversationForMember(conversationId, userId)]
+    : await Conversation.find({ participants: userId }).select("participants clearedAt");
+
+  if (conversations.length === 0) return [];
+
+  // Each conversation has its own cleared watermark
+  const byId = new Map(conversations.map(c => [c._id.toString(), c]));
+  const visible = conversations.map(c => getVisibleMessageFilter(c, userId));
+
+  const hits = await Message.find(
+    { $or: visible, $text: { $search: q } },
+    { score: { $meta: "textScore" } }
+  )
+    .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate("senderId", PARTICIPANT_FIELDS);
+
+  return Promise.all(hits.map(async (hit) => {
+    const conversation = byId.get(hit.conversationId.toString());
+    const around = (op, order) => Message.find({
+      ...getVisibleMessageFilter(conversation, userId),
+      $or: [
+        { createdAt: { [op]: hit.createdAt } },
+        { createdAt: hit.createdAt, _id: { [op]: hit._id } }
+      ]
+    })
+      .sort({ createdAt: order, _id: order })
+      .limit(SEARCH_CONTEXT_SIZE)
+      .populate("senderId", PARTICIPANT_FIELDS);
+
+    const [before, after] = await Promise.all([around("$lt", -1), around("$gt", 1)]);
+
+    const message = hit.toObject();
+    const score = message.score || 0;
+    delete message.score;
+
+    return {
+      message,
+      score,
+      conversationId: hit.conversationId,
+      // Context is oldest first, like a page of the conversation
+      context: { before: before.reverse(), after },
+      cursor: encodeCursor(hit)
+    };
+  }));
+};
+
+/**
+ * Check that users exist and may be added to a group by a member
+ * @param {string} userId - User adding the members
+ * @param {Array<string>} memberIds - Users to add
+ * @returns {Promise<Array<string>>} - Unique member IDs
+ */
+const validateNewMembers = async (userId, memberIds) => {
+  const uniqueIds = [...new Set(memberIds.map(id => id.toString()))]
+    .filter(id => id !== userId.toString());
+
+  const users = await User.find({ _id: { $in: uniqueIds } }).select("_id");
+  if (users.length !== uniqueIds.length) {
+    throw messagingError("User not found", 404);
+  }
+
+  const blockedIds = (await blockService.getBlockedUserIds(userId)).map(id => id.toString());
+  if (uniqueIds.some(id => blockedIds.includes(id))) {
+    throw messagingError("You can't add this user", 403);
+  }
+
+  return uniqueIds;
+};
+
+/**
+ * Create a group conversation; the creator becomes its first admin
+ * @param {string} userId - Creator user ID
+ * @param {Object} data - { name, avatar, participantIds }
+ * @returns {Promise<Object>} - Conversation document
+ */
+const createGroup = async (userId, { name, avatar, participantIds }) => {
+  if (!name || !name.trim()) {
+    throw messagingError("Group name is required", 400);
+  }
+  if (!Array.isArray(participantIds) || participantIds.length === 0) {
+    throw messagingError("Add at least one other member", 400);
+  }
+
+  const memberIds = await validateNewMembers(userId, participantIds);
+  if (memberIds.length + 1 > MAX_GROUP_SIZE) {
+    throw messagingError(`Groups can have at most ${MAX_GROUP_SIZE} members`, 400);
+  }
+
+  const conversation = new Conversation({
+    isGroup: true,
+    name: name.trim(),
+    avatar: avatar || "",
+    participants: [userId, ...memberIds],
+    admins: [userId],
+    createdBy: userId,
+    lastMessageText: "",
+    unreadCount: new Map(),
+    isPinned: new Map(),
+    isMuted: new Map()
+  });
+  await conversation.save();
+
+  return conversation;
+};
+
+/**
+ * Update a group's name or avatar (admins only)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Admin user ID
+ * @param {Object} data - { name, avatar }
+ * @returns {Promise<Object>} - Conversation document
+ */
+const updateGroup = async (conversationId, userId, { name, avatar }) => {
+  const conversation = await getGroupForAdmin(conversationId, userId);
+
+  if (name !== undefined) {
+    if (!name || !name.trim()) {
+      throw messagingError("Group name is required", 400);
+    }
+    conversation.name = name.trim();
+  }
+  if (avatar !== undefined) {
+    conversation.avatar = avatar || "";
+  }
+
+  await conversation.save();
+  return conversation;
+};
+
+/**
+ * Add members to a group (admins only)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Admin user ID
+ * @param {Array<string>} memberIds - Users to add
+ * @returns {Promise<Object>} - { conversation, addedIds }
+ */
+const addMembers = async (conversationId, userId, memberIds) => {
+  if (!Array.isArray(memberIds) || memberIds.length === 0) {
+    throw messagingError("No members to add", 400);
+  }
+
+  const conversation = await getGroupForAdmin(conversationId, userId);
+  const addedIds = (await validateNewMembers(userId, memberIds))
+    .filter(id => !conversation.isParticipant(id));
+
+  if (conversation.participants.length + addedIds.length > MAX_GROUP_SIZE) {
+    throw messagingError(`Groups can have at most ${MAX_GROUP_SIZE} members`, 400);
+  }
+
+  conversation.participants.push(...addedIds);
+  await conversation.save();
+
+  return { conversation, addedIds };
+};
+
+/**
+ * Remove a member from a conversation's participants, admins and per-member settings
+ * @param {Object} conversation - Conversation document (not saved)
+ * @param {string} memberId - User to remove
+ */
+const dropMember = (conversation, memberId) => {
+  const memberIdStr = memberId.toString();
+
+  conversation.participants = conversation.participants.filter(p => p.toString() !== memberIdStr);
+  conversation.admins = conversation.admins.filter(a => a.toString() !== memberIdStr);
+  conversation.unreadCount.delete(memberIdStr);
+  conversation.isPinned.delete(memberIdStr);
+  conversation.isMuted.delete(memberIdStr);
+
+  // A group always keeps an admin; the longest-standing member takes over
+  if (conversation.admins.length === 0 && conversation.participants.length > 0) {
+    conversation.admins.push(conversation.participants[0]);
+  }
+};
+
+/**
+ * Remove a member from a group (admins only; use leaveGroup for yourself)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Admin user ID
+ * @param {string} memberId - User to remove
+ * @returns {Promise<Object>} - Conversation document
+ */
+const removeMember = async (conversationId, userId, memberId) => {
+  if (memberId.toString() === userId.toString()) {
+    throw messagingError("Use leave to remove yourself", 400);
+  }
+
+  const conversation = await getGroupForAdmin(conversationId, userId);
+  if (!conversation.isParticipant(memberId)) {
+    throw messagingError("User is not a member of this group", 404);
+  }
+
+  dropMember(conversation, memberId);
+  await conversation.save();
+
+  return conversation;
+};
+
+/**
+ * Leave a group; the group and its messages are deleted when the last member leaves
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User leaving
+ * @returns {Promise<Object|null>} - Conversation document, or null if it was deleted
+ */
+const leaveGroup = async (conversationId, userId) => {
+  const conversation = await getConversationForMember(conversationId, userId);
+
+  if (!conversation.isGroup) {
+    throw messagingError("Not a group conversation", 400);
+  }
+
+  dropMember(conversation, userId);
+
+  if (conversation.participants.length === 0) {
+    await Message.deleteMany({ conversationId: conversation._id });
+    await attachmentService.removeForConversation(conversation._id);
+    await Conversation.deleteOne({ _id: conversation._id });
+    return null;
+  }
+
+  await conversation.save();
+  return conversation;
+};
+
+/**
+ * Grant or revoke a member's admin role (admins only)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Admin user ID
+ * @param {string} memberId - Member whose role changes
+ * @param {boolean} isAdmin - Whether the member should be an admin
+ * @returns {Promise<Object>} - Conversation document
+ */
+const setAdmin = async (conversationId, userId, memberId, isAdmin) => {
+  const conversation = await getGroupForAdmin(conversationId, userId);
+
+  if (!conversation.isParticipant(memberId)) {
+    throw messagingError("User is not a member of this group", 404);
+  }
+
+  if (isAdmin && !conversation.isAdmin(memberId)) {
+    conversation.admins.push(memberId);
+  } else if (!isAdmin) {
+    if (conversation.isAdmin(memberId) && conversation.admins.length === 1) {
+      throw messagingError("A group needs at least one admin", 400);
+    }
+    conversation.admins = conversation.admins.filter(a => a.toString() !== memberId.toString());
+  }
+
+  await conversation.save();
+  return conversation;
+};
+
+module.exports = {
+  MAX_GROUP_SIZE,
+  getPopulatedConversation,
+  formatConversation,
+  getVisibleMessageFilter,
+  getConversationForMember,
+  getOrCreateDirectConversation,
+  sendMessage,
+  getAttachmentForMember,
+  markDelivered,
+  markRead,
+  acceptRequest,
+  declineRequest,
+  clearConversation,
+  editMessage,
+  deleteMessage,
+  reactToMessage,
+  setMessageTimer,
+  deleteExpiredMessages,
+  searchMessages,
+  createGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  leaveGroup,
+  setAdmin
+};
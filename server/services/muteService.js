@@ -0,0 +1,132 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const { escapeRegex } = require("../utils/regex");
+
+/**
+ * Check whether a mute entry is still in effect
+ * @param {Object} entry - Muted user or muted word entry
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+const isActive = (entry, now = new Date()) => !entry.expiresAt || entry.expiresAt > now;
+
+/**
+ * Get a user's mutes that haven't expired
+ * @param {string} userId - User ID (may be empty for anonymous requests)
+ * @returns {Promise<Object>} - { userIds, usernames, keywords }
+ */
+const getActiveMutes = async (userId) => {
+  const mutes = { userIds: [], usernames: [], keywords: [] };
+  if (!userId) return mutes;
+
+  const user = await User.findById(userId).select("+mutedUsers +mutedWords");
+  if (!user) return mutes;
+
+  const now = new Date();
+  mutes.userIds = user.mutedUsers.filter(mute => isActive(mute, now)).map(mute => mute.user);
+  mutes.keywords = user.mutedWords.filter(mute => isActive(mute, now)).map(mute => mute.keyword);
+
+  // ReThreads only record the original author's username
+  if (mutes.userIds.length > 0) {
+    const mutedUsers = await User.find({ _id: { $in: mutes.userIds } }).select("username");
+    mutes.usernames = mutedUsers.map(u => u.username);
+  }
+
+  return mutes;
+};
+
+/**
+ * Build a case-insensitive regex matching a muted word or phrase as whole words
+ * @param {string} keyword - Muted word or phrase
+ * @returns {RegExp}
+ */
+const keywordRegex = (keyword) => {
+  const start = /^\w/.test(keyword) ? "\\b" : "";
+  const end = /\w$/.test(keyword) ? "\\b" : "";
+  return new RegExp(`${start}${escapeRegex(keyword)}${end}`, "i");
+};
+
+/**
+ * Build query conditions that leave out posts hidden by mutes
+ *
+ * Muted users' posts and ReThreads are hidden, as are ReThreads of their posts.
+ * Keywords starting with # match hashtags; anything else matches post text.
+ *
+ * @param {Object} mutes - Result of getActiveMutes
+ * @returns {Object} - Conditions to merge into a Post filter ({} when nothing is muted)
+ */
+const buildPostFilter = (mutes) => {
+  const hidden = [];
+
+  if (mutes.userIds.length > 0) {
+    hidden.push({ userId: { $in: mutes.userIds } });
+    hidden.push({ isReThread: true, originalAuthor: { $in: mutes.usernames } });
+  }
+
+  mutes.keywords.forEach(keyword => {
+    if (keyword.startsWith("#")) {
+      hidden.push({ hashtags: keyword.substring(1) });
+    } else {
+      const regex = keywordRegex(keyword);
+      hidden.push({ content: regex });
+      hidden.push({ originalContent: regex });
+    }
+  });
+
+  return hidden.length > 0 ? { $nor: hidden } : {};
+};
+
+/**
+ * Get the Post filter conditions for a user's active mutes
+ * @param {string} userId - User ID (may be empty for anonymous requests)
+ * @returns {Promise<Object>} - Conditions to merge into a Post filter
+ */
+const getPostFilter = async (userId) => {
+  return buildPostFilter(await getActiveMutes(userId));
+};
+
+/**
+ * Check whether text or hashtags contain any muted keyword
+ * @param {string} text - Text to check
+ * @param {Array<string>} hashtags - Hashtags without the # prefix
+ * @param {Array<string>} keywords - Muted keywords
+ * @returns {boolean}
+ */
+const matchesMutedKeyword = (text, hashtags, keywords) => {
+  return keywords.some(keyword => {
+    if (keyword.startsWith("#")) {
+      return hashtags.includes(keyword.substring(1));
+    }
+    return keywordRegex(keyword).test(text || "");
+  });
+};
+
+/**
+ * Check whether a notification should be dropped because of the recipient's mutes
+ * @param {Object} data - Notification data ({ recipient, sender, post })
+ * @returns {Promise<boolean>}
+ */
+const isNotificationMuted = async (data) => {
+  const mutes = await getActiveMutes(data.recipient);
+
+  if (mutes.userIds.some(id => id.toString() === data.sender.toString())) {
+    return true;
+  }
+
+  if (data.post && mutes.keywords.length > 0) {
+    const post = await Post.findById(data.post).select("content hashtags");
+    if (post && matchesMutedKeyword(post.content, post.hashtags, mutes.keywords)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+module.exports = {
+  isActive,
+  getActiveMutes,
+  buildPostFilter,
+  getPostFilter,
+  isNotificationMuted
+};
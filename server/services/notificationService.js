@@ -1,16 +1,19 @@
 const Notification = require("../models/Notification");
 const User = require("../models/User");
-const socketHandler = require("../socket/socketHandler");
 const pushNotificationService = require("./pushNotificationService");
+const blockService = require("./blockService");
+const muteService = require("./muteService");
 
-let io;
+let handlers;
 
 /**
- * Initialize the notification service with Socket.IO instance
- * @param {Object} socketIo - Socket.IO server instance 
+ * Initialize the notification service with the socket handler's helpers
+ * @param {Object} socketInstance - Helpers returned by the socket handler
  */
-const initialize = (socketIo) => {
-  io = socketIo;
+const initialize = (socketInstance) => {
+  // Reuse the running handler; calling socketHandler(io) again would register
+  // its connection listeners a second time
+  handlers = socketInstance;
   // Initialize push notification service
   pushNotificationService.initialize();
 };
@@ -27,6 +30,16 @@ const createNotification = async (data) => {
       return null;
     }
     
+    // Blocked users can't reach each other through notifications
+    if (await blockService.isBlockedBetween(data.sender, data.recipient)) {
+      return null;
+    }
+    
+    // Drop notifications from muted users or about posts with muted words
+    if (await muteService.isNotificationMuted(data)) {
+      return null;
+    }
+    
     // Create notification
     const notification = new Notification(data);
     await notification.save();
@@ -42,11 +55,8 @@ const createNotification = async (data) => {
       read: false
     });
     
-    // Get Socket.IO handlers
-    const handlers = socketHandler(io);
-    
     // Send real-time notification if user is online
-    if (handlers.isUserOnline(data.recipient)) {
+    if (handlers && await handlers.isUserOnline(data.recipient)) {
       handlers.sendNotification(data.recipient, populatedNotification);
       handlers.updateUnreadCount(data.recipient, unreadCount);
     } else {
@@ -78,6 +88,24 @@ const createLikeNotification = async (userId, postId, postAuthorId) => {
   });
 };
 
+/**
+ * Create a reaction notification
+ * @param {string} userId - User who reacted to a post
+ * @param {string} postId - Post that was reacted to
+ * @param {string} postAuthorId - Author of the post
+ * @param {string} emoji - Reaction emoji
+ * @returns {Promise<Object>} - The created notification
+ */
+const createReactionNotification = async (userId, postId, postAuthorId, emoji) => {
+  return createNotification({
+    recipient: postAuthorId,
+    sender: userId,
+    type: "reaction",
+    post: postId,
+    message: `reacted ${emoji} to your post`
+  });
+};
+
 /**
  * Create a reply notification
  * @param {string} userId - User who replied
@@ -110,6 +138,38 @@ const createFollowNotification = async (followerId, followedId) => {
   });
 };
 
+/**
+ * Create a follow request notification for a private account
+ * @param {string} requesterId - User who requested to follow
+ * @param {string} recipientId - Private account that was requested
+ * @returns {Promise<Object>} - The created notification
+ */
+const createFollowRequestNotification = async (requesterId, recipientId) => {
+  return createNotification({
+    recipient: recipientId,
+    sender: requesterId,
+    type: "follow_request",
+    message: "requested to follow you"
+  });
+};
+
+/**
+ * Remove the notification for a follow request once it is answered or cancelled
+ * @param {string} requesterId - User who requested to follow
+ * @param {string} recipientId - Private account that was requested
+ */
+const removeFollowRequestNotification = async (requesterId, recipientId) => {
+  try {
+    await Notification.deleteMany({
+      recipient: recipientId,
+      sender: requesterId,
+      type: "follow_request"
+    });
+  } catch (error) {
+    console.error("Error removing follow request notification:", error);
+  }
+};
+
 /**
  * Create a mention notification
  * @param {string} userId - User who mentioned someone
@@ -127,25 +187,43 @@ const createMentionNotification = async (userId, postId, mentionedUserId) => {
   });
 };
 
+/**
+ * Extract unique mentioned usernames (@username) from content
+ * @param {string} content - Post content
+ * @returns {Array<string>} - Usernames without the @ prefix
+ */
+const extractMentions = (content) => {
+  const mentionRegex = /@(\w+)/g;
+  const mentions = (content || "").match(mentionRegex);
+  
+  if (!mentions) return [];
+  
+  return [...new Set(mentions.map(mention => mention.substring(1)))];
+};
+
 /**
  * Process post content for mentions and create notifications
  * @param {string} content - Post content
  * @param {string} postId - Post ID
  * @param {string} userId - User who created the post
+ * @param {string} [previousContent] - Content before an edit; users already mentioned there are skipped
  */
-const processMentions = async (content, postId, userId) => {
+const processMentions = async (content, postId, userId, previousContent = "") => {
   try {
-    // Extract mentions (@username)
-    const mentionRegex = /@(\w+)/g;
-    const mentions = content.match(mentionRegex);
+    // Get unique usernames, ignoring anyone mentioned before the edit
+    const previousUsernames = extractMentions(previousContent);
+    const usernames = extractMentions(content).filter(
+      username => !previousUsernames.includes(username)
+    );
     
-    if (!mentions) return;
+    if (usernames.length === 0) return;
     
-    // Get unique usernames
-    const usernames = [...new Set(mentions.map(mention => mention.substring(1)))];
-    
-    // Find users by username
-    const mentionedUsers = await User.find({ username: { $in: usernames } });
+    // Find users by username, skipping anyone blocked in either direction
+    const blockedIds = await blockService.getBlockedUserIds(userId);
+    const mentionedUsers = await User.find({
+      username: { $in: usernames },
+      _id: { $nin: blockedIds }
+    });
     
     // Create a notification for each mentioned user
     for (const user of mentionedUsers) {
@@ -159,8 +237,11 @@ const processMentions = async (content, postId, userId) => {
 module.exports = {
   initialize,
   createLikeNotification,
+  createReactionNotification,
   createReplyNotification,
   createFollowNotification,
+  createFollowRequestNotification,
+  removeFollowRequestNotification,
   createMentionNotification,
   processMentions
 }; 
\ No newline at end of file
@@ -0,0 +1,94 @@
+const User = require("../models/User");
+const Conversation = require("../models/Conversation");
+const blockService = require("./blockService");
+
+/**
+ * Get the users who should hear about a user's online status: their followers
+ * and the people they talk to. Empty when the user hides their status.
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { includeHidden: ignore the user's privacy setting }
+ * @returns {Promise<Array<string>>} - User IDs
+ */
+const getPresenceAudience = async (userId, { includeHidden = false } = {}) => {
+  const user = await User.findById(userId).select("followers showOnlineStatus");
+  if (!user || (!includeHidden && user.showOnlineStatus === false)) return [];
+
+  // Strangers whose message requests the user hasn't accepted don't count
+  const [conversations, blockedIds] = await Promise.all([
+    Conversation.find({ participants: userId, pendingFor: { $ne: userId } }).select("participants"),
+    blockService.getBlockedUserIds(userId)
+  ]);
+
+  const audience = new Set(user.followers.map(follow => follow.user.toString()));
+  conversations.forEach(conversation => {
+    conversation.getOtherParticipantIds(userId).forEach(id => audience.add(id));
+  });
+
+  blockedIds.forEach(id => audience.delete(id.toString()));
+  audience.delete(userId.toString());
+
+  return [...audience];
+};
+
+/**
+ * Look up the presence of several users as seen by a viewer. Status is only
+ * shared with followers and conversation partners, and never for users who hide it.
+ * @param {string} viewerId - Viewing user ID
+ * @param {Array<string>} userIds - Users to look up
+ * @param {Object} onlineStatus - Map of user IDs to online status (from getOnlineStatus)
+ * @returns {Promise<Object>} - Map of user IDs to { online, lastSeenAt }
+ */
+const getVisiblePresence = async (viewerId, userIds, onlineStatus) => {
+  const viewerIdStr = viewerId.toString();
+
+  const [users, followed, conversations, blockedIds] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select("showOnlineStatus lastSeenAt"),
+    User.find({ _id: { $in: userIds }, "followers.user": viewerId }).select("_id"),
+    Conversation.find({ participants: viewerId }).select("participants pendingFor"),
+    blockService.getBlockedUserIds(viewerId)
+  ]);
+
+  const canSee = new Set(followed.map(user => user._id.toString()));
+  conversations.forEach(conversation => {
+    conversation.getOtherParticipantIds(viewerIdStr)
+      .filter(id => !conversation.isPendingFor(id))
+      .forEach(id => canSee.add(id));
+  });
+  canSee.add(viewerIdStr);
+  blockedIds.forEach(id => canSee.delete(id.toString()));
+
+  const presence = {};
+  userIds.forEach(id => {
+    presence[id] = { online: false, lastSeenAt: null };
+  });
+
+  users.forEach(user => {
+    const id = user._id.toString();
+    const isSelf = id === viewerIdStr;
+    if (!canSee.has(id) || (!isSelf && user.showOnlineStatus === false)) return;
+
+    presence[id] = {
+      online: Boolean(onlineStatus[id]),
+      lastSeenAt: user.lastSeenAt
+    };
+  });
+
+  return presence;
+};
+
+/**
+ * Record when a user was last connected
+ * @param {string} userId - User ID
+ * @param {Date} [at=new Date()] - Time to record
+ * @returns {Promise<Date>} - The recorded time
+ */
+const touchLastSeen = async (userId, at = new Date()) => {
+  await User.updateOne({ _id: userId }, { $set: { lastSeenAt: at } });
+  return at;
+};
+
+module.exports = {
+  getPresenceAudience,
+  getVisiblePresence,
+  touchLastSeen
+};
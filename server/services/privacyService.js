@@ -0,0 +1,75 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const blockService = require("./blockService");
+
+/**
+ * Get the Post filter condition that hides posts from private accounts the viewer
+ * doesn't follow. Posts carry their author's privacy (authorIsPrivate), so the
+ * condition grows with the viewer's follows rather than with the number of
+ * private accounts.
+ * @param {string} viewerId - Viewing user ID (may be empty for anonymous requests)
+ * @returns {Promise<Object>} - Condition for a Post filter (combine with $and)
+ */
+const getPrivatePostCondition = async (viewerId) => {
+  // ObjectIds rather than strings, so the condition also works in aggregations
+  const viewer = viewerId ? await User.findById(viewerId).select("following") : null;
+  const visibleIds = viewer ? [viewer._id, ...viewer.following.map(follow => follow.user)] : [];
+
+  return {
+    $or: [
+      { authorIsPrivate: { $ne: true } },
+      { userId: { $in: visibleIds } }
+    ]
+  };
+};
+
+/**
+ * Get the Post filter conditions that hide posts from users blocked in either
+ * direction and from private accounts the viewer doesn't follow
+ * @param {string} viewerId - Viewing user ID (may be empty for anonymous requests)
+ * @returns {Promise<Object>} - Conditions to merge into a Post filter (sets userId and $and)
+ */
+const getPostFilter = async (viewerId) => {
+  const [blockedIds, privateCondition] = await Promise.all([
+    blockService.getBlockedUserIds(viewerId),
+    getPrivatePostCondition(viewerId)
+  ]);
+
+  return {
+    userId: { $nin: blockedIds },
+    $and: [privateCondition]
+  };
+};
+
+/**
+ * Check whether a viewer may see an author's posts
+ * @param {string} viewerId - Viewing user ID (may be empty for anonymous requests)
+ * @param {string} authorId - Author user ID
+ * @returns {Promise<boolean>}
+ */
+const canViewAuthor = async (viewerId, authorId) => {
+  if (!authorId) return true;
+
+  const author = await User.findById(authorId).select("isPrivate followers");
+  if (author && !author.canBeViewedBy(viewerId)) {
+    return false;
+  }
+
+  return !(await blockService.isBlockedBetween(viewerId, authorId));
+};
+
+/**
+ * Copy an author's privacy onto all of their posts, after it changes
+ * @param {string} userId - Author user ID
+ * @param {boolean} isPrivate - Whether the account is now private
+ */
+const syncAuthorPrivacy = async (userId, isPrivate) => {
+  await Post.updateMany({ userId }, { $set: { authorIsPrivate: isPrivate } });
+};
+
+module.exports = {
+  getPrivatePostCondition,
+  getPostFilter,
+  canViewAuthor,
+  syncAuthorPrivacy
+};
@@ -0,0 +1,243 @@
+const Post = require("../models/Post");
+const User = require("../models/User");
+const Topic = require("../models/Topic");
+const { escapeRegex } = require("../utils/regex");
+
+const SEARCH_TYPES = ["posts", "users", "topics"];
+
+/**
+ * Parse a search string into free text and filter operators
+ *
+ * Supported operators: `from:username`, `in:topic` (quote names with spaces),
+ * `has:media|image|video|audio`, `#hashtag`, `since:YYYY-MM-DD` and `until:YYYY-MM-DD`.
+ * Anything else, including "quoted phrases", is kept as text search terms.
+ *
+ * @param {string} q - Raw search string
+ * @returns {Object} - Parsed query
+ */
+const parseSearchQuery = (q) => {
+  const parsed = {
+    terms: [],
+    from: [],
+    in: [],
+    has: [],
+    hashtags: [],
+    since: null,
+    until: null
+  };
+
+  const tokenRegex = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenRegex.exec(q || "")) !== null) {
+    const operator = (match[1] || match[3] || "").toLowerCase();
+    const value = match[2] !== undefined ? match[2] : match[4];
+
+    if (operator === "from") {
+      parsed.from.push(value.replace(/^@/, ""));
+    } else if (operator === "in") {
+      parsed.in.push(value);
+    } else if (operator === "has" && ["media", "image", "video", "audio"].includes(value.toLowerCase())) {
+      parsed.has.push(value.toLowerCase());
+    } else if ((operator === "since" || operator === "until") && !isNaN(new Date(value).getTime())) {
+      parsed[operator] = new Date(value);
+    } else if (match[5] !== undefined) {
+      // Quoted phrase
+      if (match[5].trim()) parsed.terms.push(`"${match[5]}"`);
+    } else if (match[6] !== undefined && /^#\w+$/.test(match[6])) {
+      parsed.hashtags.push(match[6].substring(1).toLowerCase());
+    } else {
+      // Unknown operators are searched as plain text
+      parsed.terms.push(match[0]);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Check whether a parsed query uses operators that only apply to posts
+ * @param {Object} parsed - Parsed query
+ * @returns {boolean}
+ */
+const hasPostFilters = (parsed) => {
+  return parsed.from.length > 0 ||
+    parsed.in.length > 0 ||
+    parsed.has.length > 0 ||
+    parsed.hashtags.length > 0 ||
+    parsed.since !== null ||
+    parsed.until !== null;
+};
+
+/**
+ * Apply text search and relevance sorting to a query
+ * @param {Object} filter - Base filter
+ * @param {string} text - Text search string (may be empty)
+ * @returns {Object} - { filter, projection, sort }
+ */
+const withTextSearch = (filter, text) => {
+  if (!text) {
+    return { filter, projection: {}, sort: { createdAt: -1 } };
+  }
+
+  return {
+    filter: { ...filter, $text: { $search: text } },
+    projection: { score: { $meta: "textScore" } },
+    sort: { score: { $meta: "textScore" }, createdAt: -1 }
+  };
+};
+
+/**
+ * Search posts
+ * @param {Object} parsed - Parsed query
+ * @param {Object} options - { excludeUserIds, postCondition, limit, skip }
+ * @returns {Promise<Array>} - Matching posts with relevance scores
+ */
+const searchPosts = async (parsed, { excludeUserIds = [], postCondition = null, limit, skip }) => {
+  const filter = postCondition ? { $and: [postCondition] } : {};
+  const userConditions = { $nin: excludeUserIds };
+
+  if (parsed.from.length > 0) {
+    const authors = await User.find({
+      username: { $in: parsed.from.map(name => new RegExp(`^${escapeRegex(name)}$`, "i")) }
+    }).select("_id");
+    userConditions.$in = authors.map(author => author._id);
+  }
+  filter.userId = userConditions;
+
+  if (parsed.in.length > 0) {
+    const topics = await Topic.find({
+      name: { $in: parsed.in.map(name => new RegExp(`^${escapeRegex(name)}$`, "i")) }
+    }).select("_id");
+    filter.topicId = { $in: topics.map(topic => topic._id) };
+  }
+
+  if (parsed.has.includes("media")) {
+    filter["media.0"] = { $exists: true };
+  }
+  const mediaTypes = parsed.has.filter(type => type !== "media");
+  if (mediaTypes.length > 0) {
+    filter["media.type"] = { $all: mediaTypes };
+  }
+
+  if (parsed.hashtags.length > 0) {
+    filter.hashtags = { $all: parsed.hashtags };
+  }
+
+  if (parsed.since || parsed.until) {
+    filter.createdAt = {};
+    if (parsed.since) filter.createdAt.$gte = parsed.since;
+    if (parsed.until) filter.createdAt.$lte = parsed.until;
+  }
+
+  const query = withTextSearch(filter, parsed.terms.join(" "));
+
+  return Post.find(query.filter, query.projection)
+    .sort(query.sort)
+    .skip(skip)
+    .limit(limit)
+    .populate("userId", ["username", "avatar", "isVerified", "displayName"]);
+};
+
+/**
+ * Search users
+ * @param {Object} parsed - Parsed query
+ * @param {Object} options - { excludeUserIds, limit, skip }
+ * @returns {Promise<Array>} - Matching users with relevance scores
+ */
+const searchUsers = async (parsed, { excludeUserIds = [], limit, skip }) => {
+  const query = withTextSearch({ _id: { $nin: excludeUserIds } }, parsed.terms.join(" "));
+
+  return User.find(query.filter, query.projection)
+    .select("username displayName avatar bio isVerified")
+    .sort(query.sort)
+    .skip(skip)
+    .limit(limit);
+};
+
+/**
+ * Search topics
+ * @param {Object} parsed - Parsed query
+ * @param {Object} options - { limit, skip }
+ * @returns {Promise<Array>} - Matching topics with relevance scores
+ */
+const searchTopics = async (parsed, { limit, skip }) => {
+  const query = withTextSearch({}, parsed.terms.join(" "));
+
+  return Topic.find(query.filter, query.projection)
+    .select("name description image category tags postCount")
+    .sort(query.sort)
+    .skip(skip)
+    .limit(limit);
+};
+
+/**
+ * Shape search hits of one type as results, scaling their text scores so the
+ * best hit of the type scores 1. Raw text scores depend on each collection's
+ * indexed fields and weights, so they can't be compared across types.
+ * @param {Array} docs - Matching documents with relevance scores
+ * @param {string} resultType - "post", "user" or "topic"
+ * @returns {Array} - { type, score, item }
+ */
+const toResults = (docs, resultType) => {
+  const items = docs.map(doc => doc.toObject());
+  const maxScore = Math.max(0, ...items.map(item => item.score || 0));
+
+  return items.map(item => {
+    const score = maxScore > 0 ? (item.score || 0) / maxScore : 0;
+    delete item.score;
+    return { type: resultType, score, item };
+  });
+};
+
+/**
+ * Run a unified search across posts, users, and topics
+ *
+ * excludeUserIds are left out of every result type; postCondition is an extra
+ * condition only posts must match (e.g. hiding posts from private accounts,
+ * whose profiles can still be found).
+ *
+ * @param {string} q - Raw search string
+ * @param {Object} options - { type, excludeUserIds, postCondition, limit, skip }
+ * @returns {Promise<Object>} - { parsed, results, counts }
+ */
+const search = async (q, { type = "all", excludeUserIds = [], postCondition = null, limit = 10, skip = 0 } = {}) => {
+  const parsed = parseSearchQuery(q);
+  const types = SEARCH_TYPES.includes(type) ? [type] : SEARCH_TYPES;
+  const options = { excludeUserIds, postCondition, limit, skip };
+
+  // Users and topics only match free text; post operators narrow results to posts
+  const postsOnly = hasPostFilters(parsed);
+  const hasTerms = parsed.terms.length > 0;
+
+  const [posts, users, topics] = await Promise.all([
+    types.includes("posts") ? searchPosts(parsed, options) : [],
+    types.includes("users") && hasTerms && !postsOnly ? searchUsers(parsed, options) : [],
+    types.includes("topics") && hasTerms && !postsOnly ? searchTopics(parsed, options) : []
+  ]);
+
+  // Highest relevance first; without text terms posts keep their newest-first order
+  const results = [
+    ...toResults(posts, "post"),
+    ...toResults(users, "user"),
+    ...toResults(topics, "topic")
+  ];
+  if (hasTerms) {
+    results.sort((a, b) => b.score - a.score);
+  }
+
+  return {
+    parsed,
+    results,
+    counts: {
+      posts: posts.length,
+      users: users.length,
+      topics: topics.length
+    }
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  search
+};
@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+// Access tokens are short-lived; refresh tokens keep the session alive
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Only write lastSeenAt once per interval to avoid a write on every request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Raw refresh token secret
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashSecret = (secret) => {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+};
+
+/**
+ * Get the refresh token expiry date from now
+ * @returns {Date}
+ */
+const refreshTokenExpiry = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return expiresAt;
+};
+
+/**
+ * Sign an access token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (userId, sessionId) => {
+  const payload = {
+    user: {
+      id: userId.toString(),
+    },
+    sid: sessionId.toString()
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+};
+
+/**
+ * Describe the client making a request
+ * @param {Object} req - Express request
+ * @returns {Object} - { device, ip }
+ */
+const getClientInfo = (req) => ({
+  device: req.header("user-agent") || "Unknown device",
+  ip: req.ip || ""
+});
+
+/**
+ * Create a session and issue its first token pair
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request the login came from
+ * @returns {Promise<Object>} - { token, refreshToken, session }
+ */
+const createSession = async (userId, req) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  const session = new Session({
+    user: userId,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: refreshTokenExpiry(),
+    ...getClientInfo(req)
+  });
+  await session.save();
+
+  return {
+    token: signAccessToken(userId, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session
+  };
+};
+
+/**
+ * Rotate a refresh token and issue a new token pair
+ *
+ * Presenting a refresh token that was already rotated means it leaked,
+ * so the whole session is revoked.
+ *
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - { token, refreshToken, session } or null if invalid
+ */
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || "").split(".");
+
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  // Rotate in a single update so two refreshes with the same token can't both succeed
+  const now = new Date();
+  const active = { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } };
+  const newSecret = crypto.randomBytes(32).toString("hex");
+
+  const session = await Session.findOneAndUpdate(
+    { ...active, refreshTokenHash: hashSecret(secret) },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(newSecret),
+        expiresAt: refreshTokenExpiry(),
+        lastSeenAt: now,
+        ...getClientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // An active session with a different hash means this token was already rotated
+    await Session.updateOne(active, { $set: { revokedAt: now } });
+    return null;
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: `${session._id}.${newSecret}`,
+    session
+  };
+};
+
+/**
+ * Get a session if it is still active and belongs to the user
+ * @param {string} sessionId - Session ID from the access token
+ * @param {string} userId - User ID from the access token
+ * @returns {Promise<Object|null>} - Session document or null
+ */
+const getActiveSession = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive() || session.user.toString() !== userId.toString()) {
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Record activity on a session, throttled to one write per interval
+ * @param {Object} session - Session document
+ */
+const touchSession = async (session) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_UPDATE_INTERVAL_MS) {
+    return;
+  }
+
+  await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Session documents
+ */
+const listSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep active
+ * @returns {Promise<Array<string>>} - IDs of the revoked sessions
+ */
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(filter).select("_id");
+  await Session.updateMany(
+    { _id: { $in: sessions.map(s => s._id) } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  return sessions.map(s => s._id.toString());
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  getActiveSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
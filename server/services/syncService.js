@@ -0,0 +1,259 @@
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const Notification = require("../models/Notification");
+const MessageTombstone = require("../models/MessageTombstone");
+const messageService = require("./messageService");
+
+// Most events replayed by one sync; clients ask again while hasMore is set
+const SYNC_EVENT_LIMIT = 500;
+
+// Clients that have been away longer than this should reload from scratch
+const SYNC_MAX_AGE_DAYS = 30;
+
+const PARTICIPANT_FIELDS = "username displayName avatar";
+
+/**
+ * Encode a sync cursor for a point in time
+ * @param {Date} date - Time of the last event the client has seen
+ * @returns {string} - Opaque cursor
+ */
+const encodeSyncCursor = (date) => {
+  return Buffer.from(String(date.getTime())).toString("base64url");
+};
+
+/**
+ * Decode a cursor created by encodeSyncCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Date|null} - Time of the last seen event, or null if malformed
+ */
+const decodeSyncCursor = (cursor) => {
+  if (typeof cursor !== "string" || !cursor) return null;
+
+  const time = Number(Buffer.from(cursor, "base64url").toString("utf8"));
+  const date = new Date(time);
+  return Number.isInteger(time) && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Error raised when a client sends a malformed sync cursor
+ */
+const invalidCursorError = () => {
+  const error = new Error("Invalid cursor");
+  error.name = "InvalidCursorError";
+  return error;
+};
+
+/**
+ * Find receipts recorded on a user's own messages within a time range, oldest first
+ * @param {string} userId - Sender user ID
+ * @param {string} field - "deliveredAt" or "readAt"
+ * @param {Object} range - MongoDB range condition
+ * @returns {Promise<Array>} - { conversationId, messageId, user, at }
+ */
+const findReceipts = (userId, field, range) => {
+  return Message.aggregate([
+    {
+      $match: {
+        senderId: new mongoose.Types.ObjectId(userId),
+        receipts: { $elemMatch: { [field]: range } }
+      }
+    },
+    { $unwind: "$receipts" },
+    { $match: { [`receipts.${field}`]: range } },
+    { $sort: { [`receipts.${field}`]: 1 } },
+    { $limit: SYNC_EVENT_LIMIT + 1 },
+    {
+      $project: {
+        _id: 0,
+        conversationId: 1,
+        messageId: "$_id",
+        user: "$receipts.user",
+        at: `$receipts.${field}`
+      }
+    }
+  ]);
+};
+
+/**
+ * Group receipts into the events sent live
+ * @param {Array} receipts - Receipts from findReceipts
+ * @param {string} field - "deliveredAt" or "readAt"
+ * @returns {Array} - Sync events
+ */
+const receiptEvents = (receipts, field) => {
+  const isRead = field === "readAt";
+  const groups = new Map();
+
+  receipts.forEach(({ conversationId, messageId, user, at }) => {
+    // Receipts recorded together (one mark-read or delivery ack) share a timestamp
+    const key = `${conversationId}:${user}:${at.getTime()}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        event: isRead ? "messages_read" : "messages_delivered",
+        at,
+        data: isRead
+          ? { conversationId, readBy: user, messageIds: [], readAt: at }
+          : { conversationId, deliveredTo: user, messageIds: [], deliveredAt: at }
+      });
+    }
+    groups.get(key).data.messageIds.push(messageId);
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Build the event sent live when messages were removed for everyone
+ * @param {Object} tombstone - MessageTombstone document
+ * @returns {Object} - Sync event
+ */
+const tombstoneEvent = (tombstone) => {
+  const { conversationId, messageIds, reason, deletedAt } = tombstone;
+
+  return reason === "unsent"
+    ? { event: "message_deleted", at: deletedAt, data: { messageId: messageIds[0], conversationId } }
+    : { event: "messages_expired", at: deletedAt, data: { conversationId, messageIds } };
+};
+
+/**
+ * Collect what a user missed since a cursor: new, edited, unsent and expired
+ * messages, conversation updates, delivery and read receipts on their messages,
+ * and notifications
+ *
+ * Events use the same names and payloads as the live socket events and are
+ * returned oldest first. Message requests stay quiet until accepted, as they do live.
+ *
+ * @param {string} userId - User ID
+ * @param {string} [cursor] - Cursor from a previous sync (omit to just get a starting cursor)
+ * @returns {Promise<Object>} - { events, cursor, hasMore, reset }
+ */
+const getDelta = async (userId, cursor) => {
+  const until = new Date();
+
+  if (!cursor) {
+    return { events: [], cursor: encodeSyncCursor(until), hasMore: false, reset: false };
+  }
+
+  const since = decodeSyncCursor(cursor);
+  if (!since) {
+    throw invalidCursorError();
+  }
+
+  // Too far behind to replay; the client should reload its conversations instead
+  const oldest = new Date(until);
+  oldest.setDate(oldest.getDate() - SYNC_MAX_AGE_DAYS);
+  if (since < oldest) {
+    return { events: [], cursor: encodeSyncCursor(until), hasMore: false, reset: true };
+  }
+
+  const range = { $gt: since, $lte: until };
+
+  const conversations = await Conversation.find({ participants: userId, pendingFor: { $ne: userId } })
+    .select("participants clearedAt updatedAt");
+  const visible = conversations.map(c => messageService.getVisibleMessageFilter(c, userId));
+
+  const [
+    newMessages,
+    editedMessages,
+    tombstones,
+    delivered,
+    read,
+    updatedConversations,
+    notifications
+  ] = await Promise.all([
+    visible.length > 0
+      ? Message.find({ $and: [{ $or: visible }, { createdAt: range }] })
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(SYNC_EVENT_LIMIT + 1)
+        .populate("senderId", PARTICIPANT_FIELDS)
+      : [],
+    visible.length > 0
+      ? Message.find({ $and: [{ $or: visible }, { createdAt: { $lte: since }, editedAt: range }] })
+        .sort({ editedAt: 1 })
+        .limit(SYNC_EVENT_LIMIT + 1)
+        .populate("senderId", PARTICIPANT_FIELDS)
+      : [],
+    MessageTombstone.find({ conversationId: { $in: conversations.map(c => c._id) }, deletedAt: range })
+      .sort({ deletedAt: 1 })
+      .limit(SYNC_EVENT_LIMIT + 1),
+    findReceipts(userId, "deliveredAt", range),
+    findReceipts(userId, "readAt", range),
+    Conversation.find({ _id: { $in: conversations.map(c => c._id) }, updatedAt: range })
+      .sort({ updatedAt: 1 })
+      .limit(SYNC_EVENT_LIMIT + 1)
+      .populate("participants", PARTICIPANT_FIELDS)
+      .populate({
+        path: "lastMessage",
+        populate: { path: "senderId", select: PARTICIPANT_FIELDS }
+      }),
+    Notification.find({ recipient: userId, createdAt: range })
+      .sort({ createdAt: 1 })
+      .limit(SYNC_EVENT_LIMIT + 1)
+      .populate("sender", ["username", "displayName", "avatar"])
+      .populate("post", ["content"])
+  ]);
+
+  let events = [
+    ...newMessages.map(message => ({ event: "new_message", at: message.createdAt, data: message })),
+    ...editedMessages.map(message => ({ event: "message_updated", at: message.editedAt, data: message })),
+    ...tombstones.map(tombstoneEvent),
+    ...receiptEvents(delivered, "deliveredAt"),
+    ...receiptEvents(read, "readAt"),
+    ...updatedConversations.map(conversation => ({
+      event: "conversation_update",
+      at: conversation.updatedAt,
+      data: conversation
+    })),
+    ...notifications.map(notification => ({
+      event: "notification",
+      at: notification.createdAt,
+      data: notification
+    }))
+  ];
+  events.sort((a, b) => a.at - b.at);
+
+  // Each query returns one row past the limit when there is more. Everything
+  // before the earliest cut-off has been fetched, so stop just short of it.
+  const cutoffs = [
+    [newMessages, message => message.createdAt],
+    [editedMessages, message => message.editedAt],
+    [tombstones, tombstone => tombstone.deletedAt],
+    [delivered, receipt => receipt.at],
+    [read, receipt => receipt.at],
+    [updatedConversations, conversation => conversation.updatedAt],
+    [notifications, notification => notification.createdAt]
+  ]
+    .filter(([items]) => items.length > SYNC_EVENT_LIMIT)
+    .map(([items, getAt]) => getAt(items[items.length - 1]));
+  if (events.length > SYNC_EVENT_LIMIT) {
+    cutoffs.push(events[SYNC_EVENT_LIMIT].at);
+  }
+
+  let last = until;
+  const hasMore = cutoffs.length > 0;
+  if (hasMore) {
+    const boundary = new Date(Math.min(...cutoffs.map(at => at.getTime())));
+    const before = events.filter(event => event.at < boundary);
+
+    if (before.length > 0) {
+      events = before;
+      last = new Date(boundary.getTime() - 1);
+    } else {
+      // Everything left shares one timestamp; send it all rather than stall
+      events = events.filter(event => event.at <= boundary);
+      last = boundary;
+    }
+  }
+
+  return {
+    events: events.map(({ event, data, at }) => ({ event, data, at })),
+    cursor: encodeSyncCursor(last),
+    hasMore,
+    reset: false
+  };
+};
+
+module.exports = {
+  getDelta
+};
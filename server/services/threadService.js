@@ -0,0 +1,145 @@
+const Post = require("../models/Post");
+const { encodeCursor } = require("../utils/pagination");
+
+const AUTHOR_FIELDS = "username avatar isVerified displayName";
+
+/**
+ * Find the top-level post of the thread a post belongs to
+ * @param {Object} post - Post document (root or reply)
+ * @returns {Promise<Object|null>} - Root post with author populated
+ */
+const findThreadRoot = async (post) => {
+  if (!post.parentPostId) {
+    return post;
+  }
+
+  if (post.rootPostId) {
+    return Post.findById(post.rootPostId).populate("userId", AUTHOR_FIELDS);
+  }
+
+  // Replies created before reply trees have no rootPostId, so climb the parents
+  let current = post;
+  while (current && current.parentPostId) {
+    current = await Post.findById(current.parentPostId).populate("userId", AUTHOR_FIELDS);
+  }
+  return current;
+};
+
+/**
+ * Count the direct replies of each post
+ * @param {Array} postIds - IDs of the parent posts
+ * @param {Object} [replyFilter] - Conditions replies must match to be counted
+ *   (e.g. from privacyService.getPostFilter)
+ * @returns {Promise<Map>} - Map of post ID string to reply count
+ */
+const getReplyCounts = async (postIds, replyFilter = {}) => {
+  const counts = await Post.aggregate([
+    { $match: { ...replyFilter, parentPostId: { $in: postIds } } },
+    { $group: { _id: "$parentPostId", count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(c => [c._id.toString(), c.count]));
+};
+
+/**
+ * Load the first page of direct replies for several parents at once
+ * @param {Array} parentIds - IDs of the parent posts
+ * @param {number} limit - Maximum replies per parent
+ * @param {Object} replyFilter - Conditions replies must match to be loaded
+ * @returns {Promise<Map>} - Map of parent ID string to { replies, total }
+ */
+const loadBranches = async (parentIds, limit, replyFilter) => {
+  const groups = await Post.aggregate([
+    { $match: { ...replyFilter, parentPostId: { $in: parentIds } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: "$parentPostId", replyIds: { $push: "$_id" }, total: { $sum: 1 } } },
+    { $project: { total: 1, replyIds: { $slice: ["$replyIds", limit] } } }
+  ]);
+
+  const replyIds = groups.flatMap(g => g.replyIds);
+  const replies = await Post.find({ _id: { $in: replyIds } })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate("userId", AUTHOR_FIELDS);
+
+  const branches = new Map();
+  groups.forEach(g => {
+    branches.set(g._id.toString(), { replies: [], total: g.total });
+  });
+  replies.forEach(reply => {
+    branches.get(reply.parentPostId.toString()).replies.push(reply);
+  });
+
+  return branches;
+};
+
+/**
+ * Build branch pagination metadata for a node's loaded replies
+ * @param {Array} children - Loaded reply nodes
+ * @param {number} total - Total number of direct replies
+ * @param {number} limit - Replies loaded per branch
+ * @returns {Object} - Pagination block; pass nextCursor as `after` to load more
+ */
+const branchPagination = (children, total, limit) => ({
+  total,
+  limit,
+  hasMore: total > children.length,
+  nextCursor: children.length > 0 ? encodeCursor(children[children.length - 1]) : null
+});
+
+/**
+ * Build a reply tree under a root post, loading a limited number of replies per branch
+ * @param {Object} root - Root post document
+ * @param {Object} options - { limit: replies per branch, maxDepth: levels to load,
+ *   replyFilter: conditions replies must match; other replies and the branches
+ *   below them are left out }
+ * @returns {Promise<Object>} - Root node with nested `children`
+ */
+const buildReplyTree = async (root, { limit = 10, maxDepth = 3, replyFilter = {} } = {}) => {
+  const toNode = (post, depth) => ({ ...post.toObject(), depth, replyCount: 0, children: [] });
+
+  const rootNode = toNode(root, 0);
+  let frontier = [rootNode];
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const branches = await loadBranches(frontier.map(node => node._id), limit, replyFilter);
+    const nextFrontier = [];
+
+    frontier.forEach(node => {
+      const branch = branches.get(node._id.toString()) || { replies: [], total: 0 };
+      node.children = branch.replies.map(reply => toNode(reply, depth));
+      node.replyCount = branch.total;
+      node.repliesPagination = branchPagination(node.children, branch.total, limit);
+      nextFrontier.push(...node.children);
+    });
+
+    frontier = nextFrontier;
+  }
+
+  // Nodes on the deepest loaded level only report how many replies they have
+  if (frontier.length > 0) {
+    const counts = await getReplyCounts(frontier.map(node => node._id), replyFilter);
+    frontier.forEach(node => {
+      node.replyCount = counts.get(node._id.toString()) || 0;
+      node.repliesPagination = branchPagination([], node.replyCount, limit);
+    });
+  }
+
+  return rootNode;
+};
+
+/**
+ * Flatten a reply tree into reading order, keeping each node's depth
+ * @param {Object} node - Tree node from buildReplyTree
+ * @returns {Array<Object>} - Nodes without `children`, depth-first
+ */
+const flattenReplyTree = (node) => {
+  const { children, ...rest } = node;
+  return [rest, ...children.flatMap(flattenReplyTree)];
+};
+
+module.exports = {
+  findThreadRoot,
+  getReplyCounts,
+  buildReplyTree,
+  flattenReplyTree
+};
@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { verifyTOTP } = require("../utils/totp");
+
+// Login challenges must be completed quickly
+const CHALLENGE_TOKEN_EXPIRES_IN = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+// Failed second-factor attempts allowed before codes are refused for a while
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPT_LOCKOUT_MINUTES = 15;
+
+/**
+ * Hash a recovery code for storage, ignoring formatting
+ * @param {string} code - Recovery code
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+};
+
+/**
+ * Generate a fresh set of one-time recovery codes
+ * @returns {Object} - { codes: plain codes to show once, hashes: values to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Verify a TOTP or recovery code against a user with 2FA enabled
+ *
+ * Accepted TOTP steps and recovery codes are consumed on the user document,
+ * which the caller must save.
+ *
+ * @param {Object} user - User loaded with the twoFactor* secret fields
+ * @param {string} code - Code entered by the user
+ * @param {number} [time=Date.now()] - Unix time in milliseconds
+ * @returns {string|null} - "totp", "recovery" or null if the code is invalid
+ */
+const verifySecondFactor = (user, code, time = Date.now()) => {
+  if (!code) return null;
+
+  const step = verifyTOTP(user.twoFactorSecret, code, { time });
+  if (step !== null) {
+    if (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep) {
+      return null;
+    }
+    user.twoFactorLastUsedStep = step;
+    return "totp";
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (user.twoFactorRecoveryCodes.includes(hash)) {
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(h => h !== hash);
+    return "recovery";
+  }
+
+  return null;
+};
+
+/**
+ * Get how long a user must wait before trying another second-factor code.
+ * Logging in again with the password doesn't shorten the wait.
+ * @param {Object} user - User document
+ * @param {number} [time=Date.now()] - Unix time in milliseconds
+ * @returns {number} - Seconds remaining (0 if codes are accepted)
+ */
+const getLockoutSeconds = (user, time = Date.now()) => {
+  if (user.twoFactorFailedAttempts < MAX_FAILED_ATTEMPTS || !user.twoFactorLastFailedAt) {
+    return 0;
+  }
+
+  const lockedUntil = user.twoFactorLastFailedAt.getTime() + FAILED_ATTEMPT_LOCKOUT_MINUTES * 60 * 1000;
+  return lockedUntil > time ? Math.ceil((lockedUntil - time) / 1000) : 0;
+};
+
+/**
+ * Record an invalid second-factor code on the user document (doesn't save directly)
+ * @param {Object} user - User document
+ * @param {number} [time=Date.now()] - Unix time in milliseconds
+ */
+const recordFailedAttempt = (user, time = Date.now()) => {
+  // A lockout that has run out starts a fresh count
+  if (user.twoFactorFailedAttempts >= MAX_FAILED_ATTEMPTS && getLockoutSeconds(user, time) === 0) {
+    user.twoFactorFailedAttempts = 0;
+  }
+
+  user.twoFactorFailedAttempts += 1;
+  user.twoFactorLastFailedAt = new Date(time);
+};
+
+/**
+ * Sign a short-lived token proving the password step of a 2FA login passed
+ * @param {string} userId - User ID
+ * @returns {string} - Signed challenge token
+ */
+const createChallengeToken = (userId) => {
+  return jwt.sign(
+    { twoFactor: { userId: userId.toString() } },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Challenge token
+ * @returns {string|null} - User ID or null if the token is invalid
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.twoFactor && decoded.twoFactor.userId ? decoded.twoFactor.userId : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  getLockoutSeconds,
+  recordFailedAttempt,
+  createChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,25 @@
+const { createMemoryAdapter } = require("./memoryAdapter");
+
+/**
+ * Create the realtime adapter chosen by REALTIME_ADAPTER ("memory" or "redis")
+ *
+ * Adapters keep track of presence and typing state and relay Socket.IO events
+ * between server instances. The in-memory adapter only supports a single
+ * instance; run several behind a load balancer with the Redis adapter.
+ *
+ * @param {string} [type=process.env.REALTIME_ADAPTER] - Adapter name
+ * @returns {Object} - Realtime adapter
+ */
+const createRealtimeAdapter = (type = process.env.REALTIME_ADAPTER) => {
+  if (type === "redis") {
+    // Only load the Redis client when it is used
+    const { createRedisAdapter } = require("./redisAdapter");
+    return createRedisAdapter();
+  }
+
+  return createMemoryAdapter();
+};
+
+module.exports = {
+  createRealtimeAdapter
+};
@@ -0,0 +1,69 @@
+/**
+ * In-process presence and typing state for a single server instance.
+ * Socket.IO's default in-memory adapter delivers events, so nothing needs attaching.
+ * @returns {Object} - Realtime adapter
+ */
+const createMemoryAdapter = () => {
+  // User ID -> IDs of their open sockets (one per tab or device)
+  const connectedUsers = new Map();
+  // User ID -> typing target (conversation or receiver ID) -> when typing started
+  const typingUsers = new Map();
+
+  return {
+    name: "memory",
+
+    attach: async () => {},
+
+    addSocket: async (userId, socketId) => {
+      if (!connectedUsers.has(userId)) {
+        connectedUsers.set(userId, new Set());
+      }
+      const sockets = connectedUsers.get(userId);
+      const cameOnline = sockets.size === 0;
+      sockets.add(socketId);
+      return cameOnline;
+    },
+
+    removeSocket: async (userId, socketId) => {
+      const sockets = connectedUsers.get(userId);
+      if (!sockets) return false;
+
+      sockets.delete(socketId);
+      if (sockets.size > 0) return false;
+
+      connectedUsers.delete(userId);
+      return true;
+    },
+
+    isOnline: async (userId) => connectedUsers.has(userId.toString()),
+
+    getOnlineStatus: async (userIds) => {
+      const statuses = {};
+      userIds.forEach(id => {
+        statuses[id] = connectedUsers.has(id.toString());
+      });
+      return statuses;
+    },
+
+    setTyping: async (userId, targetId, isTyping) => {
+      if (!typingUsers.has(userId)) {
+        typingUsers.set(userId, new Map());
+      }
+      if (isTyping) {
+        typingUsers.get(userId).set(targetId.toString(), Date.now());
+      } else {
+        typingUsers.get(userId).delete(targetId.toString());
+      }
+    },
+
+    clearTyping: async (userId) => {
+      typingUsers.delete(userId);
+    },
+
+    close: async () => {}
+  };
+};
+
+module.exports = {
+  createMemoryAdapter
+};
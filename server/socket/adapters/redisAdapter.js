@@ -0,0 +1,145 @@
+const { createClient } = require("redis");
+const { createAdapter } = require("@socket.io/redis-adapter");
+
+// A socket counts as connected until its entry expires without a heartbeat,
+// so sockets on a crashed instance drop out on their own
+const SOCKET_TTL_SECONDS = 90;
+const HEARTBEAT_SECONDS = 30;
+
+// Typing state is short-lived anyway
+const TYPING_TTL_SECONDS = 30;
+
+/**
+ * Presence and typing state shared through Redis, with the Socket.IO Redis
+ * adapter relaying events between server instances
+ * @param {Object} [options] - { url, keyPrefix }
+ * @returns {Object} - Realtime adapter
+ */
+const createRedisAdapter = ({
+  url = process.env.REDIS_URL || "redis://localhost:6379",
+  keyPrefix = process.env.REDIS_KEY_PREFIX || "uthread"
+} = {}) => {
+  const client = createClient({ url });
+  const subClient = client.duplicate();
+
+  // Sockets connected to this instance, re-announced on every heartbeat
+  const localSockets = new Map();
+  let heartbeat = null;
+
+  const socketsKey = (userId) => `${keyPrefix}:presence:${userId}`;
+  const typingKey = (userId) => `${keyPrefix}:typing:${userId}`;
+  const socketExpiry = () => Date.now() + SOCKET_TTL_SECONDS * 1000;
+
+  /**
+   * Queue commands recording a socket as alive
+   * @param {Object} multi - Redis transaction
+   * @param {string} userId - User ID
+   * @param {string} socketId - Socket ID
+   */
+  const touchSocket = (multi, userId, socketId) => {
+    multi.zAdd(socketsKey(userId), { score: socketExpiry(), value: socketId });
+    multi.expire(socketsKey(userId), SOCKET_TTL_SECONDS);
+  };
+
+  const refreshLocalSockets = async () => {
+    if (localSockets.size === 0) return;
+
+    const multi = client.multi();
+    localSockets.forEach((socketIds, userId) => {
+      socketIds.forEach(socketId => touchSocket(multi, userId, socketId));
+    });
+    await multi.exec();
+  };
+
+  return {
+    name: "redis",
+
+    attach: async (io) => {
+      client.on("error", error => console.error("Redis client error:", error));
+      subClient.on("error", error => console.error("Redis subscriber error:", error));
+
+      await Promise.all([client.connect(), subClient.connect()]);
+      io.adapter(createAdapter(client, subClient, { key: `${keyPrefix}:socket.io` }));
+
+      heartbeat = setInterval(() => {
+        refreshLocalSockets().catch(error => {
+          console.error("Error refreshing presence:", error);
+        });
+      }, HEARTBEAT_SECONDS * 1000);
+      heartbeat.unref();
+    },
+
+    addSocket: async (userId, socketId) => {
+      if (!localSockets.has(userId)) {
+        localSockets.set(userId, new Set());
+      }
+      localSockets.get(userId).add(socketId);
+
+      const multi = client.multi().zCount(socketsKey(userId), Date.now(), "+inf");
+      touchSocket(multi, userId, socketId);
+      const [liveSockets] = await multi.exec();
+
+      return Number(liveSockets) === 0;
+    },
+
+    removeSocket: async (userId, socketId) => {
+      const sockets = localSockets.get(userId);
+      if (sockets) {
+        sockets.delete(socketId);
+        if (sockets.size === 0) localSockets.delete(userId);
+      }
+
+      const [, , liveSockets] = await client.multi()
+        .zRem(socketsKey(userId), socketId)
+        .zRemRangeByScore(socketsKey(userId), "-inf", Date.now())
+        .zCount(socketsKey(userId), Date.now(), "+inf")
+        .exec();
+
+      return Number(liveSockets) === 0;
+    },
+
+    isOnline: async (userId) => {
+      const liveSockets = await client.zCount(socketsKey(userId.toString()), Date.now(), "+inf");
+      return liveSockets > 0;
+    },
+
+    getOnlineStatus: async (userIds) => {
+      if (userIds.length === 0) return {};
+
+      const now = Date.now();
+      const multi = client.multi();
+      userIds.forEach(id => multi.zCount(socketsKey(id.toString()), now, "+inf"));
+      const counts = await multi.exec();
+
+      const statuses = {};
+      userIds.forEach((id, index) => {
+        statuses[id] = Number(counts[index]) > 0;
+      });
+      return statuses;
+    },
+
+    setTyping: async (userId, targetId, isTyping) => {
+      if (isTyping) {
+        await client.multi()
+          .hSet(typingKey(userId), targetId.toString(), Date.now())
+          .expire(typingKey(userId), TYPING_TTL_SECONDS)
+          .exec();
+      } else {
+        await client.hDel(typingKey(userId), targetId.toString());
+      }
+    },
+
+    clearTyping: async (userId) => {
+      await client.del(typingKey(userId));
+    },
+
+    close: async () => {
+      clearInterval(heartbeat);
+      await Promise.all([client.quit(), subClient.quit()]);
+    }
+  };
+};
+
+module.exports = {
+  createRedisAdapter
+};
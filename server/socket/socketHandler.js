@@ -2,17 +2,109 @@ const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Message = require("../models/Message");
 const Conversation = require("../models/Conversation");
-
-// Keep track of connected users
-const connectedUsers = new Map();
-// Keep track of users who are typing
-const typingUsers = new Map();
+const sessionService = require("../services/sessionService");
+const blockService = require("../services/blockService");
+const messageService = require("../services/messageService");
+const presenceService = require("../services/presenceService");
+const syncService = require("../services/syncService");
+const { createMemoryAdapter } = require("./adapters/memoryAdapter");
 
 /**
  * Socket.IO handler for real-time notifications and messaging
  * @param {Object} io - Socket.IO server instance
+ * @param {Object} [adapter] - Realtime adapter keeping presence and typing state
+ *                             (see socket/adapters; in-memory by default)
  */
-const socketHandler = (io) => {
+const socketHandler = (io, adapter = createMemoryAdapter()) => {
+  /**
+   * Emit an event to every participant of a conversation
+   * @param {Object} conversation - Conversation document
+   * @param {string} event - The event name
+   * @param {Object} data - The event data
+   * @param {string} [excludeUserId] - Participant to leave out (usually the sender)
+   */
+  const sendToConversation = (conversation, event, data, excludeUserId = null) => {
+    conversation.participants.forEach(participant => {
+      const participantId = (participant._id || participant).toString();
+      if (excludeUserId && participantId === excludeUserId.toString()) return;
+      io.to(`user:${participantId}`).emit(event, data);
+    });
+  };
+  
+  /**
+   * Deliver a newly sent message and the updated conversation to the other participants
+   * @param {string} senderId - The sender's user ID
+   * @param {Object} message - The saved message (sender populated)
+   * @param {Object} conversation - The message's conversation
+   */
+  const deliverMessage = async (senderId, message, conversation) => {
+    // Message requests stay quiet until the recipient accepts them
+    const recipientIds = conversation.getActiveParticipantIds(senderId);
+    if (recipientIds.length === 0) return;
+    
+    recipientIds.forEach(id => io.to(`user:${id}`).emit('new_message', message));
+    
+    const populatedConversation = await messageService.getPopulatedConversation(conversation._id);
+    recipientIds.forEach(id => io.to(`user:${id}`).emit('conversation_update', populatedConversation));
+  };
+  
+  /**
+   * Tell senders that their messages reached a recipient
+   * @param {string} recipientId - The recipient's user ID
+   * @param {Array} delivered - Receipts from messageService.markDelivered
+   */
+  const notifyDelivered = (recipientId, delivered) => {
+    // One event per sender and conversation rather than per message
+    const groups = new Map();
+    delivered.forEach(({ messageId, conversationId, senderId, deliveredAt }) => {
+      const key = `${senderId}:${conversationId}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          senderId: senderId.toString(),
+          data: { conversationId, deliveredTo: recipientId, messageIds: [], deliveredAt }
+        });
+      }
+      groups.get(key).data.messageIds.push(messageId);
+    });
+    
+    groups.forEach(({ senderId, data }) => {
+      io.to(`user:${senderId}`).emit('messages_delivered', data);
+    });
+  };
+  
+  /**
+   * Tell the other participants that a reader has read messages in a conversation
+   * @param {Object} conversation - Conversation document
+   * @param {string} readerId - The reader's user ID
+   * @param {Object} receipt - Result of messageService.markRead
+   */
+  const notifyRead = (conversation, readerId, receipt) => {
+    notifyDelivered(readerId, receipt.delivered);
+    
+    // Readers who don't share read receipts stay silent
+    if (!receipt.sharesReceipts || receipt.messageIds.length === 0) return;
+    
+    sendToConversation(conversation, 'messages_read', {
+      conversationId: conversation._id,
+      readBy: readerId,
+      messageIds: receipt.messageIds,
+      readAt: receipt.readAt
+    }, readerId);
+  };
+  
+  /**
+   * Tell a user's followers and conversation partners whether they are online
+   * @param {string} userId - The user ID
+   * @param {string} status - "online" or "offline"
+   * @param {Date} lastSeenAt - When the user was last connected
+   */
+  const broadcastPresence = async (userId, status, lastSeenAt) => {
+    const audience = await presenceService.getPresenceAudience(userId);
+    audience.forEach(id => {
+      io.to(`user:${id}`).emit('user_status', { userId, status, lastSeenAt });
+    });
+  };
+  
   // Middleware for authentication
   io.use(async (socket, next) => {
     try {
@@ -93,10 +185,18 @@ const socketHandler = (io) => {
           return next(new Error("Authentication error: User not found"));
         }
         
+        // Only tokens tied to an active session may connect
+        const session = await sessionService.getActiveSession(decoded.sid, userId);
+        if (!session) {
+          console.log("Socket auth failed: Session expired or revoked for user:", userId);
+          return next(new Error("Authentication error: Session expired or revoked"));
+        }
+        
         console.log("Socket authentication successful for user:", user.username);
         
-        // Attach user data to socket
+        // Attach user and session data to socket
         socket.user = user;
+        socket.sessionId = session._id.toString();
         next();
       } catch (jwtError) {
         console.error("JWT verification error:", jwtError);
@@ -125,14 +225,20 @@ const socketHandler = (io) => {
     const userId = socket.user._id.toString();
     console.log(`User connected: ${userId}`);
     
-    // Store user's socket connection
-    connectedUsers.set(userId, socket.id);
-    
     // Join user to their personal room for targeted notifications
     socket.join(`user:${userId}`);
     
-    // Broadcast online status to friends/followers
-    io.emit('user_status', { userId, status: 'online' });
+    // Join the session room so revoking the session can disconnect this socket
+    socket.join(`session:${socket.sessionId}`);
+    
+    // Store the connection alongside any other tabs or devices; only the first changes the user's status
+    adapter.addSocket(userId, socket.id)
+      .then(async (cameOnline) => {
+        if (!cameOnline) return;
+        const lastSeenAt = await presenceService.touchLastSeen(userId);
+        await broadcastPresence(userId, 'online', lastSeenAt);
+      })
+      .catch(error => console.error('Error broadcasting online status:', error));
     
     // Send auth success confirmation
     socket.emit('auth_success', { 
@@ -140,121 +246,99 @@ const socketHandler = (io) => {
       username: socket.user.username
     });
     
-    // Handle message sending
-    socket.on('send_message', async (data) => {
+    // Replay what the client missed since its cursor, in order, then hand back a new cursor
+    const sendSync = async (cursor) => {
       try {
-        const { receiverId, content, media } = data;
-        if (!receiverId) {
-          socket.emit('message_error', { error: 'Recipient not specified' });
-          return;
-        }
+        const { events, cursor: nextCursor, hasMore, reset } = await syncService.getDelta(userId, cursor);
         
-        if ((!content || content.trim() === '') && (!media || media.length === 0)) {
-          socket.emit('message_error', { error: 'Message cannot be empty' });
+        events.forEach(({ event, data }) => socket.emit(event, data));
+        socket.emit('sync_complete', { cursor: nextCursor, hasMore, reset });
+      } catch (error) {
+        if (error.name === 'InvalidCursorError') {
+          socket.emit('sync_error', { error: error.message });
           return;
         }
+        console.error('Error syncing missed events:', error);
+        socket.emit('sync_error', { error: 'Failed to sync' });
+      }
+    };
+    
+    // Clients send their last cursor when connecting (none on first connect)
+    sendSync(socket.handshake.auth.syncCursor);
+    
+    // Handle requests for the next page of a sync while hasMore is set
+    socket.on('sync', (data) => {
+      sendSync(data && data.cursor);
+    });
+    
+    // Handle message sending (to a conversationId, or a receiverId for direct messages)
+    socket.on('send_message', async (data) => {
+      try {
+        const { conversationId, receiverId, content, media } = data;
         
-        // Create new message
-        const newMessage = new Message({
-          senderId: userId,
+        const { message, conversation } = await messageService.sendMessage(userId, {
+          conversationId,
           receiverId,
-          content: content || '',
-          media: media || [],
-          isRead: false
-        });
-        
-        const savedMessage = await newMessage.save();
-        
-        // Find or create conversation
-        let conversation = await Conversation.findOne({
-          participants: { $all: [userId, receiverId] }
+          content,
+          media
         });
         
-        if (!conversation) {
-          conversation = new Conversation({
-            participants: [userId, receiverId],
-            lastMessage: savedMessage._id,
-            lastMessageText: content || (media && media.length > 0 ? 'Sent media' : ''),
-            lastMessageDate: new Date(),
-            unreadCount: new Map([[receiverId, 1]])
-          });
-          await conversation.save();
-        } else {
-          // Update conversation metadata manually instead of using methods that call save()
-          conversation.lastMessage = savedMessage._id;
-          conversation.lastMessageText = content || (media && media.length > 0 ? 'Sent media' : '');
-          conversation.lastMessageDate = new Date();
-          
-          // Manually update unread count instead of using incrementUnread method
-          const userIdStr = receiverId.toString();
-          const currentCount = conversation.unreadCount.get(userIdStr) || 0;
-          conversation.unreadCount.set(userIdStr, currentCount + 1);
-          
-          await conversation.save();
-        }
-        
-        // Populate sender info for the receiver's view
-        const populatedMessage = await Message.findById(savedMessage._id)
-          .populate('senderId', 'username displayName avatar');
-          
-        // Send to recipient if online
-        if (connectedUsers.has(receiverId)) {
-          io.to(`user:${receiverId}`).emit('new_message', populatedMessage);
-          
-          // Also send conversation update
-          const populatedConversation = await Conversation.findById(conversation._id)
-            .populate('participants', 'username displayName avatar')
-            .populate('lastMessage');
-            
-          io.to(`user:${receiverId}`).emit('conversation_update', populatedConversation);
-        }
+        // Send to the other participants
+        await deliverMessage(userId, message, conversation);
         
         // Confirm to sender
-        socket.emit('message_sent', savedMessage);
+        socket.emit('message_sent', message);
         
         // Send updated conversation to sender
-        const populatedConversation = await Conversation.findById(conversation._id)
-          .populate('participants', 'username displayName avatar')
-          .populate('lastMessage');
-          
+        const populatedConversation = await messageService.getPopulatedConversation(conversation._id);
         socket.emit('conversation_update', populatedConversation);
       } catch (error) {
+        if (error.name === 'MessagingError') {
+          socket.emit('message_error', { error: error.message });
+          return;
+        }
         console.error('Error sending message:', error);
         socket.emit('message_error', { error: 'Failed to send message' });
       }
     });
     
+    // Handle delivery acknowledgements for messages received over the socket
+    socket.on('message_delivered', async (data) => {
+      try {
+        const { messageId, messageIds } = data;
+        const ids = messageIds || (messageId ? [messageId] : []);
+        
+        const delivered = await messageService.markDelivered(userId, ids);
+        notifyDelivered(userId, delivered);
+      } catch (error) {
+        console.error('Error recording message delivery:', error);
+      }
+    });
+    
     // Handle marking messages as read
     socket.on('mark_read', async (data) => {
       try {
         const { messageId, conversationId } = data;
         
         if (messageId) {
-          // Mark individual message as read
-          await Message.findByIdAndUpdate(messageId, { isRead: true });
+          // Mark individual message as read if it was sent to this user
+          const message = await Message.findById(messageId);
+          if (message && message.senderId.toString() !== userId) {
+            const conversation = await Conversation.findById(message.conversationId);
+            if (conversation && conversation.isParticipant(userId)) {
+              const receipt = await messageService.markRead(conversation, userId, [message._id]);
+              notifyRead(conversation, userId, receipt);
+            }
+          }
         }
         
         if (conversationId) {
           // Find the conversation
           const conversation = await Conversation.findById(conversationId);
           
-          if (conversation) {
-            // Manually reset unread count instead of using method that calls save()
-            const userIdStr = userId.toString();
-            conversation.unreadCount.set(userIdStr, 0);
-            await conversation.save();
-            
-            // Notify other participant their message was read
-            const otherParticipantId = conversation.participants.find(
-              p => p.toString() !== userId
-            );
-            
-            if (otherParticipantId && connectedUsers.has(otherParticipantId.toString())) {
-              io.to(`user:${otherParticipantId}`).emit('messages_read', {
-                conversationId,
-                readBy: userId
-              });
-            }
+          if (conversation && conversation.isParticipant(userId)) {
+            const receipt = await messageService.markRead(conversation, userId);
+            notifyRead(conversation, userId, receipt);
           }
         }
         
@@ -265,45 +349,100 @@ const socketHandler = (io) => {
       }
     });
     
-    // Handle typing indicators
-    socket.on('typing', (data) => {
-      const { receiverId, isTyping } = data;
-      
-      if (!receiverId) return;
-      
-      // Store typing state for this user-receiver pair
-      const typingKey = `${userId}-${receiverId}`;
-      
-      if (isTyping) {
-        typingUsers.set(typingKey, Date.now());
-      } else {
-        typingUsers.delete(typingKey);
+    // Handle emoji reactions on messages
+    socket.on('react_message', async (data) => {
+      try {
+        const { messageId, emoji } = data;
+        
+        const { message, conversation, reacted } = await messageService.reactToMessage(
+          messageId,
+          userId,
+          emoji
+        );
+        
+        const reaction = {
+          messageId: message._id,
+          conversationId: conversation._id,
+          userId,
+          emoji,
+          reacted,
+          reactionCounts: message.reactionCounts
+        };
+        
+        sendToConversation(conversation, 'message_reaction', reaction, userId);
+        socket.emit('reaction_confirmed', reaction);
+      } catch (error) {
+        if (error.name === 'MessagingError') {
+          socket.emit('message_error', { error: error.message });
+          return;
+        }
+        console.error('Error reacting to message:', error);
+        socket.emit('message_error', { error: 'Failed to react to message' });
       }
+    });
+    
+    // Handle typing indicators (in a conversationId, or to a receiverId in direct messages)
+    socket.on('typing', async (data) => {
+      const { conversationId, receiverId, isTyping } = data;
       
-      // Notify receiver if they're online
-      if (connectedUsers.has(receiverId)) {
-        io.to(`user:${receiverId}`).emit('user_typing', {
-          senderId: userId,
-          isTyping
-        });
+      if (!conversationId && !receiverId) return;
+      
+      try {
+        if (conversationId) {
+          const conversation = await Conversation.findById(conversationId);
+          if (!conversation || !conversation.isParticipant(userId)) return;
+          
+          // Store typing state for this user-conversation pair
+          await adapter.setTyping(userId, conversationId, isTyping);
+          
+          // Don't reveal activity to or from blocked users in direct conversations
+          if (!conversation.isGroup) {
+            const otherId = conversation.getOtherParticipantIds(userId)[0];
+            if (await blockService.isBlockedBetween(userId, otherId)) return;
+          }
+          
+          sendToConversation(conversation, 'user_typing', {
+            conversationId,
+            senderId: userId,
+            isTyping
+          }, userId);
+          return;
+        }
+        
+        // Don't reveal activity to or from blocked users
+        if (await blockService.isBlockedBetween(userId, receiverId)) return;
+        
+        // Store typing state for this user-receiver pair
+        await adapter.setTyping(userId, receiverId, isTyping);
+        
+        // Notify receiver if they're online
+        if (await adapter.isOnline(receiverId)) {
+          io.to(`user:${receiverId}`).emit('user_typing', {
+            senderId: userId,
+            isTyping
+          });
+        }
+      } catch (error) {
+        console.error('Error handling typing indicator:', error);
       }
     });
     
     // Handle disconnection
     socket.on("disconnect", () => {
       console.log(`User disconnected: ${userId}`);
-      // Remove user from connected users map
-      connectedUsers.delete(userId);
-      
-      // Clear typing indicators for this user
-      for (const [key, _] of typingUsers.entries()) {
-        if (key.startsWith(`${userId}-`)) {
-          typingUsers.delete(key);
-        }
-      }
-      
-      // Broadcast offline status
-      io.emit('user_status', { userId, status: 'offline' });
+      // Remove this socket; the user stays online while other tabs or devices are connected
+      adapter.removeSocket(userId, socket.id)
+        .then(async (wentOffline) => {
+          if (!wentOffline) return;
+          
+          // Clear typing indicators for this user
+          await adapter.clearTyping(userId);
+          
+          // Broadcast offline status
+          const lastSeenAt = await presenceService.touchLastSeen(userId);
+          await broadcastPresence(userId, 'offline', lastSeenAt);
+        })
+        .catch(error => console.error('Error broadcasting offline status:', error));
     });
   });
   
@@ -327,25 +466,21 @@ const socketHandler = (io) => {
     },
     
     /**
-     * Check if a user is online
+     * Check if a user is online on any server instance
      * @param {string} userId - The user ID to check
-     * @returns {boolean} - Whether the user is online
+     * @returns {Promise<boolean>} - Whether the user is online
      */
     isUserOnline: (userId) => {
-      return connectedUsers.has(userId.toString());
+      return adapter.isOnline(userId.toString());
     },
     
     /**
      * Get online status for a list of users
      * @param {Array<string>} userIds - Array of user IDs to check
-     * @returns {Object} - Map of user IDs to online status
+     * @returns {Promise<Object>} - Map of user IDs to online status
      */
     getOnlineStatus: (userIds) => {
-      const statuses = {};
-      userIds.forEach(id => {
-        statuses[id] = connectedUsers.has(id.toString());
-      });
-      return statuses;
+      return adapter.getOnlineStatus(userIds);
     },
     
     /**
@@ -358,68 +493,66 @@ const socketHandler = (io) => {
       try {
         const { content, media } = messageData;
         
-        // Create new message
-        const newMessage = new Message({
-          senderId,
+        const { message, conversation } = await messageService.sendMessage(senderId, {
           receiverId,
-          content: content || '',
-          media: media || [],
-          isRead: false
+          content,
+          media
         });
         
-        const savedMessage = await newMessage.save();
+        await deliverMessage(senderId, message, conversation);
         
-        // Find or create conversation
-        let conversation = await Conversation.findOne({
-          participants: { $all: [senderId, receiverId] }
-        });
-        
-        if (!conversation) {
-          conversation = new Conversation({
-            participants: [senderId, receiverId],
-            lastMessage: savedMessage._id,
-            lastMessageText: content || (media && media.length > 0 ? 'Sent media' : ''),
-            lastMessageDate: new Date(),
-            unreadCount: new Map([[receiverId, 1]])
-          });
-          await conversation.save();
-        } else {
-          // Update conversation metadata manually instead of using methods that call save()
-          conversation.lastMessage = savedMessage._id;
-          conversation.lastMessageText = content || (media && media.length > 0 ? 'Sent media' : '');
-          conversation.lastMessageDate = new Date();
-          
-          // Manually update unread count
-          const userIdStr = receiverId.toString();
-          const currentCount = conversation.unreadCount.get(userIdStr) || 0;
-          conversation.unreadCount.set(userIdStr, currentCount + 1);
-          
-          await conversation.save();
-        }
-        
-        // Send to recipient if online
-        if (connectedUsers.has(receiverId)) {
-          // Populate sender info
-          const populatedMessage = await Message.findById(savedMessage._id)
-            .populate('senderId', 'username displayName avatar');
-            
-          io.to(`user:${receiverId}`).emit('new_message', populatedMessage);
-          
-          // Send conversation update
-          const populatedConversation = await Conversation.findById(conversation._id)
-            .populate('participants', 'username displayName avatar')
-            .populate('lastMessage');
-            
-          io.to(`user:${receiverId}`).emit('conversation_update', populatedConversation);
-        }
-        
-        return savedMessage;
+        return message;
       } catch (error) {
         console.error('Error sending direct message:', error);
         throw error;
       }
     },
     
+    deliverMessage,
+    
+    sendToConversation,
+    
+    /**
+     * Re-announce an online user's status after they show or hide it
+     * @param {string} userId - The user ID
+     * @param {boolean} hidden - Whether the user now hides their status
+     */
+    refreshPresence: async (userId, hidden) => {
+      const userIdStr = userId.toString();
+      if (!(await adapter.isOnline(userIdStr))) return;
+      
+      if (!hidden) {
+        await broadcastPresence(userIdStr, 'online', new Date());
+        return;
+      }
+      
+      // Hidden users appear offline, with no last seen time
+      const audience = await presenceService.getPresenceAudience(userIdStr, { includeHidden: true });
+      audience.forEach(id => {
+        io.to(`user:${id}`).emit('user_status', { userId: userIdStr, status: 'offline', lastSeenAt: null });
+      });
+    },
+    
+    notifyDelivered,
+    
+    notifyRead,
+    
+    /**
+     * Disconnect all of a user's live socket connections
+     * @param {string} userId - The user ID
+     */
+    disconnectUser: (userId) => {
+      io.in(`user:${userId}`).disconnectSockets(true);
+    },
+    
+    /**
+     * Disconnect the live socket connections opened with a session
+     * @param {string} sessionId - The session ID
+     */
+    disconnectSession: (sessionId) => {
+      io.in(`session:${sessionId}`).disconnectSockets(true);
+    },
+    
     /**
      * Send a message to a specific user (directly to their socket)
      * @param {string} userId - The recipient's user ID
@@ -0,0 +1,139 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const crypto = require("crypto");
+const { Server } = require("socket.io");
+const { io: connectClient } = require("socket.io-client");
+const { createClient } = require("redis");
+const { createRedisAdapter } = require("../socket/adapters/redisAdapter");
+const socketHandler = require("../socket/socketHandler");
+
+// Needs a running Redis, e.g. REDIS_URL=redis://localhost:6379 npm test
+const REDIS_URL = process.env.REDIS_URL;
+
+/**
+ * Start a Socket.IO server on a free port, sharing state through a Redis adapter
+ * @param {string} keyPrefix - Redis key prefix shared by both instances
+ * @returns {Promise<Object>} - { io, adapter, httpServer, port }
+ */
+const startInstance = async (keyPrefix) => {
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  const adapter = createRedisAdapter({ url: REDIS_URL, keyPrefix });
+
+  await adapter.attach(io);
+  await new Promise(resolve => httpServer.listen(0, resolve));
+
+  return { io, adapter, httpServer, port: httpServer.address().port };
+};
+
+/**
+ * Stop an instance started by startInstance
+ * @param {Object} instance - Instance to stop
+ */
+const stopInstance = async ({ io, adapter }) => {
+  await new Promise(resolve => io.close(() => resolve()));
+  await adapter.close();
+};
+
+/**
+ * Wait for one event on a client socket
+ * @param {Object} socket - Client socket
+ * @param {string} event - Event name
+ * @returns {Promise<*>} - The event data
+ */
+const nextEvent = (socket, event) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 5000);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+};
+
+describe("redis realtime adapter across two instances", { skip: !REDIS_URL && "REDIS_URL is not set" }, () => {
+  const keyPrefix = `uthread-test-${crypto.randomBytes(4).toString("hex")}`;
+  const userId = crypto.randomBytes(12).toString("hex");
+  const senderId = crypto.randomBytes(12).toString("hex");
+
+  let instanceA;
+  let instanceB;
+  let helpersA;
+  let client;
+  let redis;
+
+  before(async () => {
+    instanceA = await startInstance(keyPrefix);
+    instanceB = await startInstance(keyPrefix);
+    helpersA = socketHandler(instanceA.io, instanceA.adapter);
+
+    // Instance B stands in for the socket handler's connection setup, without
+    // the database-backed authentication
+    instanceB.io.on("connection", async (socket) => {
+      const id = socket.handshake.auth.userId;
+      socket.join(`user:${id}`);
+      await instanceB.adapter.addSocket(id, socket.id);
+      socket.emit("ready");
+    });
+
+    client = connectClient(`http://localhost:${instanceB.port}`, {
+      auth: { userId },
+      transports: ["websocket"],
+      forceNew: true
+    });
+    await nextEvent(client, "ready");
+
+    redis = createClient({ url: REDIS_URL });
+    await redis.connect();
+  });
+
+  after(async () => {
+    if (client) client.close();
+    if (redis) {
+      const keys = await redis.keys(`${keyPrefix}:*`);
+      if (keys.length > 0) await redis.del(keys);
+      await redis.quit();
+    }
+    if (instanceA) await stopInstance(instanceA);
+    if (instanceB) await stopInstance(instanceB);
+  });
+
+  test("a user connected to one instance is online on the other", async () => {
+    assert.strictEqual(await helpersA.isUserOnline(userId), true);
+    assert.deepStrictEqual(await helpersA.getOnlineStatus([userId, senderId]), {
+      [userId]: true,
+      [senderId]: false
+    });
+  });
+
+  test("sendToUser reaches a socket connected to the other instance", async () => {
+    const received = nextEvent(client, "notification_test");
+    helpersA.sendToUser(userId, "notification_test", { text: "hello" });
+
+    assert.deepStrictEqual(await received, { text: "hello" });
+  });
+
+  test("typing state is shared and typing events are relayed", async () => {
+    await instanceA.adapter.setTyping(senderId, userId, true);
+    assert.ok(await redis.hExists(`${keyPrefix}:typing:${senderId}`, userId));
+
+    const received = nextEvent(client, "user_typing");
+    if (await instanceA.adapter.isOnline(userId)) {
+      instanceA.io.to(`user:${userId}`).emit("user_typing", { senderId, isTyping: true });
+    }
+    assert.deepStrictEqual(await received, { senderId, isTyping: true });
+
+    // Clearing from the other instance removes the shared state
+    await instanceB.adapter.clearTyping(senderId);
+    assert.strictEqual(await redis.exists(`${keyPrefix}:typing:${senderId}`), 0);
+  });
+
+  test("a user goes offline everywhere once their last socket is removed", async () => {
+    const [socketId] = await instanceB.io.in(`user:${userId}`).allSockets();
+    const wentOffline = await instanceB.adapter.removeSocket(userId, socketId);
+
+    assert.strictEqual(wentOffline, true);
+    assert.strictEqual(await helpersA.isUserOnline(userId), false);
+  });
+});
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { base32Encode, generateTOTP, verifyTOTP } = require("../utils/totp");
+
+// RFC 6238 appendix B uses this ASCII seed for its SHA-1 vectors
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+test("generateTOTP matches the RFC 6238 SHA-1 test vectors", () => {
+  const vectors = [
+    [59, "94287082"],
+    [1111111109, "07081804"],
+    [1234567890, "89005924"],
+    [20000000000, "65353130"]
+  ];
+
+  vectors.forEach(([seconds, expected]) => {
+    assert.strictEqual(generateTOTP(RFC_SECRET, seconds * 1000, 8), expected);
+  });
+});
+
+test("verifyTOTP accepts codes one step either side of the clock", () => {
+  const time = 1234567890 * 1000;
+  const step = Math.floor(1234567890 / 30);
+
+  assert.strictEqual(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time), { time }), step);
+  assert.strictEqual(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time - 30000), { time }), step - 1);
+  assert.strictEqual(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time + 30000), { time }), step + 1);
+});
+
+test("verifyTOTP rejects codes outside the window and malformed input", () => {
+  const time = 1234567890 * 1000;
+
+  assert.strictEqual(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time - 60000), { time }), null);
+  assert.strictEqual(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time + 60000), { time }), null);
+  assert.strictEqual(verifyTOTP(RFC_SECRET, "12345", { time }), null);
+  assert.strictEqual(verifyTOTP(RFC_SECRET, "abcdef", { time }), null);
+  assert.strictEqual(verifyTOTP(RFC_SECRET, undefined, { time }), null);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { generateSecret, generateTOTP } = require("../utils/totp");
+const twoFactorService = require("../services/twoFactorService");
+
+const TIME = 1700000000 * 1000;
+
+/**
+ * Build a stand-in for a user document with 2FA enabled
+ * @param {Array<string>} [hashes] - Stored recovery code hashes
+ * @returns {Object}
+ */
+const createUser = (hashes = []) => ({
+  twoFactorSecret: generateSecret(),
+  twoFactorRecoveryCodes: hashes,
+  twoFactorLastUsedStep: null,
+  twoFactorFailedAttempts: 0,
+  twoFactorLastFailedAt: null
+});
+
+test("verifySecondFactor accepts a TOTP code once and rejects a replay", () => {
+  const user = createUser();
+  const code = generateTOTP(user.twoFactorSecret, TIME);
+
+  assert.strictEqual(twoFactorService.verifySecondFactor(user, code, TIME), "totp");
+  assert.strictEqual(twoFactorService.verifySecondFactor(user, code, TIME), null);
+  assert.strictEqual(twoFactorService.verifySecondFactor(user, code, TIME + 10000), null);
+});
+
+test("verifySecondFactor rejects codes from steps older than the last one used", () => {
+  const user = createUser();
+
+  const current = generateTOTP(user.twoFactorSecret, TIME);
+  const previous = generateTOTP(user.twoFactorSecret, TIME - 30000);
+
+  assert.strictEqual(twoFactorService.verifySecondFactor(user, current, TIME), "totp");
+  assert.strictEqual(twoFactorService.verifySecondFactor(user, previous, TIME), null);
+});
+
+test("verifySecondFactor consumes recovery codes", () => {
+  const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+  const user = createUser(hashes);
+
+  assert.strictEqual(twoFactorService.verifySecondFactor(user, codes[0], TIME), "recovery");
+  assert.strictEqual(user.twoFactorRecoveryCodes.length, hashes.length - 1);
+  assert.strictEqual(twoFactorService.verifySecondFactor(user, codes[0], TIME), null);
+
+  // Formatting doesn't matter
+  assert.strictEqual(twoFactorService.verifySecondFactor(user, codes[1].toUpperCase().replace("-", " "), TIME), "recovery");
+});
+
+test("failed attempts lock out second-factor codes until the lockout runs out", () => {
+  const user = createUser();
+
+  for (let i = 0; i < twoFactorService.MAX_FAILED_ATTEMPTS; i++) {
+    assert.strictEqual(twoFactorService.getLockoutSeconds(user, TIME), 0);
+    twoFactorService.recordFailedAttempt(user, TIME);
+  }
+
+  assert.strictEqual(twoFactorService.getLockoutSeconds(user, TIME), 15 * 60);
+  assert.strictEqual(twoFactorService.getLockoutSeconds(user, TIME + 15 * 60 * 1000), 0);
+
+  // The next failure after the lockout starts a fresh count
+  twoFactorService.recordFailedAttempt(user, TIME + 15 * 60 * 1000);
+  assert.strictEqual(user.twoFactorFailedAttempts, 1);
+});
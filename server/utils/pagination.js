@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+
+// Most documents one page may return, whatever limit the client asks for
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Encode an opaque cursor pointing at a document's position in a listing
+ * @param {Object} doc - Document with createdAt and _id fields
+ * @returns {string} - Base64url encoded cursor
+ */
+const encodeCursor = (doc) => {
+  const createdAt = new Date(doc.createdAt).getTime();
+  return Buffer.from(`${createdAt}:${doc._id}`).toString("base64url");
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Opaque cursor string
+ * @returns {Object|null} - { createdAt, _id } or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string" || !cursor) return null;
+
+  const [time, id] = Buffer.from(cursor, "base64url").toString("utf8").split(":");
+  const createdAt = new Date(Number(time));
+
+  if (!time || isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Build a filter matching documents strictly before or after a cursor,
+ * ordered by createdAt with _id as the tie-breaker
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} direction - "before" or "after"
+ * @returns {Object} - MongoDB filter
+ */
+const cursorFilter = (cursor, direction) => {
+  const op = direction === "before" ? "$lt" : "$gt";
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+    ]
+  };
+};
+
+/**
+ * Error raised when a request carries a malformed cursor
+ */
+const invalidCursorError = () => {
+  const error = new Error("Invalid cursor");
+  error.name = "InvalidCursorError";
+  return error;
+};
+
+/**
+ * Paginate a listing using before/after cursors, falling back to legacy page numbers
+ *
+ * `before` returns documents older than the cursor and `after` documents newer
+ * than it. Without either, the `page` query parameter is used as before.
+ * Documents are always returned in the listing's own order, and `nextCursor`
+ * points at the last one so it can be passed back as `before` (newest-first
+ * listings) or `after` (oldest-first listings) to continue.
+ *
+ * @param {Object} Model - Mongoose model to query
+ * @param {Object} filter - Base filter for the listing
+ * @param {Object} query - Request query (page, limit up to MAX_PAGE_SIZE, before, after)
+ * @param {Object} options - { order: -1 | 1, defaultLimit, populate }
+ * @returns {Promise<Object>} - { items, pagination }
+ */
+const paginate = async (Model, filter, query, options = {}) => {
+  const order = options.order || -1;
+  const limit = Math.max(1, Math.min(parseInt(query.limit) || options.defaultLimit || 10, MAX_PAGE_SIZE));
+
+  const total = await Model.countDocuments(filter);
+
+  const buildQuery = (conditions, direction) => {
+    let q = Model.find(conditions).sort({ createdAt: direction, _id: direction });
+    if (options.populate) {
+      q = q.populate(options.populate);
+    }
+    return q;
+  };
+
+  let items;
+  let hasMore;
+  let page;
+
+  if (query.before || query.after) {
+    const direction = query.before ? "before" : "after";
+    const cursor = decodeCursor(query[direction]);
+
+    if (!cursor) {
+      throw invalidCursorError();
+    }
+
+    // Walk away from the cursor, then restore the listing's order
+    const fetchOrder = direction === "before" ? -1 : 1;
+    items = await buildQuery({ $and: [filter, cursorFilter(cursor, direction)] }, fetchOrder)
+      .limit(limit + 1);
+
+    hasMore = items.length > limit;
+    items = items.slice(0, limit);
+
+    if (fetchOrder !== order) {
+      items.reverse();
+    }
+  } else {
+    // Legacy page number mode
+    page = parseInt(query.page) || 1;
+    const skip = (page - 1) * limit;
+
+    items = await buildQuery(filter, order)
+      .skip(skip)
+      .limit(limit);
+
+    hasMore = skip + items.length < total;
+  }
+
+  const pagination = {
+    total,
+    limit,
+    hasMore,
+    nextCursor: items.length > 0 ? encodeCursor(items[items.length - 1]) : null,
+    prevCursor: items.length > 0 ? encodeCursor(items[0]) : null
+  };
+
+  if (page !== undefined) {
+    pagination.page = page;
+    pagination.pages = Math.ceil(total / limit);
+  }
+
+  return { items, pagination };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
@@ -0,0 +1,71 @@
+// Emoji users can react with; override with a comma-separated REACTION_EMOJIS
+const DEFAULT_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🔥"];
+
+const ALLOWED_REACTIONS = process.env.REACTION_EMOJIS
+  ? process.env.REACTION_EMOJIS.split(",").map(emoji => emoji.trim()).filter(Boolean)
+  : DEFAULT_REACTIONS;
+
+/**
+ * Check whether an emoji is in the configured reaction set
+ * @param {string} emoji - Emoji to check
+ * @returns {boolean}
+ */
+const isAllowedReaction = (emoji) => ALLOWED_REACTIONS.includes(emoji);
+
+/**
+ * Add a user's reaction to a post or message, or remove it if it's already there
+ *
+ * Updates both the `reactions` list and the per-emoji `reactionCounts`
+ * on the document, which the caller must save.
+ *
+ * @param {Object} doc - Post or Message document
+ * @param {string} userId - Reacting user ID
+ * @param {string} emoji - Reaction emoji
+ * @returns {boolean} - Whether the reaction was added (false if it was removed)
+ */
+const toggleReaction = (doc, userId, emoji) => {
+  const userIdStr = userId.toString();
+  const existing = doc.reactions.find(
+    reaction => reaction.user.toString() === userIdStr && reaction.emoji === emoji
+  );
+
+  const count = doc.reactionCounts.get(emoji) || 0;
+
+  if (existing) {
+    doc.reactions = doc.reactions.filter(reaction => reaction !== existing);
+    if (count <= 1) {
+      doc.reactionCounts.delete(emoji);
+    } else {
+      doc.reactionCounts.set(emoji, count - 1);
+    }
+    return false;
+  }
+
+  doc.reactions.push({ user: userId, emoji });
+  doc.reactionCounts.set(emoji, count + 1);
+  return true;
+};
+
+/**
+ * List who reacted to a post or message, newest first
+ * @param {Object} doc - Post or Message document with `reactions.user` populated
+ * @param {string} [emoji] - Only include reactions with this emoji
+ * @returns {Array<Object>} - { user, emoji, createdAt } entries
+ */
+const listReactions = (doc, emoji) => {
+  return doc.reactions
+    .filter(reaction => reaction.user && (!emoji || reaction.emoji === emoji))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(reaction => ({
+      user: reaction.user,
+      emoji: reaction.emoji,
+      createdAt: reaction.createdAt
+    }));
+};
+
+module.exports = {
+  ALLOWED_REACTIONS,
+  isAllowedReaction,
+  toggleReaction,
+  listReactions
+};
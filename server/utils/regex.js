@@ -0,0 +1,12 @@
+/**
+ * Escape a string so it can be used literally inside a regular expression
+ * @param {string} value - Raw user input
+ * @returns {string} - Escaped string
+ */
+const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+module.exports = {
+  escapeRegex
+};
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// RFC 6238 defaults, which authenticator apps expect
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces, and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} [size=20] - Secret size in bytes
+ * @returns {string} - Base32 secret
+ */
+const generateSecret = (size = 20) => {
+  return base32Encode(crypto.randomBytes(size));
+};
+
+/**
+ * Get the time step counter for a point in time
+ * @param {number} time - Unix time in milliseconds
+ * @returns {number} - Time step counter
+ */
+const getTimeStep = (time) => {
+  return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+};
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {Buffer} key - Shared secret bytes
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} - Zero-padded code
+ */
+const generateHOTP = (key, counter, digits) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  counterBuffer.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto.createHmac("sha1", key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, digits);
+
+  return code.toString().padStart(digits, "0");
+};
+
+/**
+ * Generate the TOTP code for a secret at a point in time
+ * @param {string} secret - Base32 secret
+ * @param {number} [time=Date.now()] - Unix time in milliseconds
+ * @param {number} [digits] - Code length
+ * @returns {string} - TOTP code
+ */
+const generateTOTP = (secret, time = Date.now(), digits = TOTP_DIGITS) => {
+  return generateHOTP(base32Decode(secret), getTimeStep(time), digits);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @param {Object} [options] - { time, window, digits }
+ * @returns {number|null} - Matching time step (to reject replays) or null
+ */
+const verifyTOTP = (secret, token, { time = Date.now(), window = 1, digits = TOTP_DIGITS } = {}) => {
+  const normalized = String(token || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(time);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHOTP(key, step, digits);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (e.g. username)
+ * @param {string} [issuer="UThread"] - Service name
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthURI = (secret, accountName, issuer = "UThread") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthURI
+};